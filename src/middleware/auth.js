@@ -6,7 +6,9 @@ import { verifySupabaseToken } from '../utils/supabase.js';
  */
 export async function authMiddleware(req, res, next) {
   try {
-    const authHeader = req.headers.authorization;
+    // EventSource (SSE) cannot set headers: accept the token as a query parameter
+    const authHeader = req.headers.authorization ||
+      (req.query.access_token ? `Bearer ${req.query.access_token}` : undefined);
 
     // Allow anonymous access (optional - check in quota middleware)
     if (!authHeader) {
@@ -34,3 +36,19 @@ export async function authMiddleware(req, res, next) {
     next();
   }
 }
+
+/**
+ * Read the guest token sent by anonymous clients (X-Guest-Token header)
+ * Guest tokens let anonymous users own and poll their conversion jobs
+ * The `guestToken` query parameter is accepted for EventSource, which cannot set headers
+ * @returns {string|null} - Token, or null if missing/malformed
+ */
+export function getGuestToken(req) {
+  const token = req.get('x-guest-token') || req.query.guestToken;
+
+  if (!token || !/^[A-Za-z0-9-]{16,128}$/.test(token)) {
+    return null;
+  }
+
+  return token;
+}
@@ -0,0 +1,31 @@
+/**
+ * Audiomack songs, albums and playlists (audio only, account required)
+ */
+export default {
+  id: 'audiomack',
+  name: 'Audiomack',
+  hosts: ['audiomack.com'],
+  // Covers (assets) and audio (music), not the site and its API
+  cdnHosts: ['assets.audiomack.com', 'music.audiomack.com'],
+  pathPattern: /^\/[^/]+\/(song|album|playlist)\/[^/]+/,
+  audioOnly: true,
+  guestAccess: 'none',
+
+  getMediaId(url) {
+    const match = url.pathname.match(/^\/([^/]+)\/song\/([^/]+)/);
+    return match ? `audiomack_${match[1]}_${match[2]}` : null;
+  },
+
+  isPlaylist(url) {
+    return /^\/[^/]+\/(album|playlist)\//.test(url.pathname);
+  },
+
+  // The uploader is the artist's page; featured artists are part of `artist`
+  getMetadata(output) {
+    return {
+      title: output.track,
+      artist: output.artist || output.uploader,
+      album: output.album
+    };
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Bandcamp tracks and albums (artist.bandcamp.com; audio only, account required)
+ */
+export default {
+  id: 'bandcamp',
+  name: 'Bandcamp',
+  hosts: ['bandcamp.com'],
+  // Covers (f4.bcbits.com)
+  cdnHosts: ['bcbits.com'],
+  pathPattern: /^\/(track|album)\/[^/]+/,
+  audioOnly: true,
+  guestAccess: 'none',
+
+  // The artist's subdomain + slug: the same slug is common across artists
+  getMediaId(url) {
+    const match = url.pathname.match(/^\/track\/([^/]+)/);
+    return match ? `bandcamp_${url.hostname.split('.')[0]}_${match[1]}` : null;
+  },
+
+  isPlaylist(url) {
+    return url.pathname.startsWith('/album/');
+  },
+
+  // yt-dlp's title is "Artist - Track"; compilations only name the album artist
+  getMetadata(output) {
+    return {
+      title: output.track,
+      artist: output.artist || output.album_artist,
+      album: output.album,
+      year: output.release_date ? output.release_date.slice(0, 4) : null
+    };
+  }
+};
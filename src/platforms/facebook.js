@@ -0,0 +1,12 @@
+/**
+ * Facebook videos and reels (fb.watch short links included)
+ * Standard quality is served as a direct CDN link through /api/proxy.
+ */
+export default {
+  id: 'facebook',
+  name: 'Facebook',
+  hosts: ['facebook.com', 'fb.watch'],
+  cdnHosts: ['fbcdn.net'],
+  directLink: true,
+  guestAccess: 'social'
+};
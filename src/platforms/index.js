@@ -0,0 +1,129 @@
+import youtube from './youtube.js';
+import instagram from './instagram.js';
+import facebook from './facebook.js';
+import tiktok from './tiktok.js';
+import soundcloud from './soundcloud.js';
+import spotify from './spotify.js';
+import bandcamp from './bandcamp.js';
+import mixcloud from './mixcloud.js';
+import audiomack from './audiomack.js';
+
+/**
+ * Supported platforms: one module per site, declaring how its URLs are recognised
+ * and handled. Supporting a new site = writing its module and adding it below.
+ *
+ * id              - Platform name used in responses and logs ('youtube', ...)
+ * name            - Shown in logs
+ * hosts           - Domains of the site, subdomains included (look-alike domains never match)
+ * cdnHosts        - Domains serving its media and thumbnails: what /api/proxy and
+ *                   /api/proxy-image may fetch (see utils/safeFetch)
+ * pathPattern     - Paths of media pages, default: any non-empty path
+ * getMediaId      - (url: URL) => canonical media ID (cache key), null = hash of the URL
+ * isPlaylist      - (url: URL) => whether the URL is a playlist/album/set, default: never
+ * normalizeUrl    - (url: URL) => URL handed to yt-dlp, default: as is
+ * shortLinkHosts  - Hosts of share links, resolved to the media URL before anything else
+ * resolveSource   - async (url: string, { match }) => { url, metadata, match, alternatives }: what
+ *                   yt-dlp fetches instead of the URL (e.g. a YouTube video), metadata overriding
+ *                   yt-dlp's; match/alternatives = the video picked and the other candidates,
+ *                   `match` option = a video the user picked instead
+ * listPlaylist    - async (url: string) => { title, author, thumbnail, total, tracks }: playlist
+ *                   entries without yt-dlp (total = size of the whole playlist)
+ * getMetadata     - (output) => { title, artist, album, year } read from yt-dlp's JSON where the
+ *                   generic fields fall short; missing values keep the generic ones
+ * cookies         - 'always' = cookies.txt on every yt-dlp call (default),
+ *                   'fallback' = only to retry restricted media
+ * guestAccess     - What guests may download (the rest needs an account):
+ *                   'plan' = formats of the 'guest' plan (default), 'social' = no audio and
+ *                   only 'guest' plan videos, 'none' = nothing
+ * directLink      - Standard quality served as a direct CDN link (/api/proxy), no conversion
+ * audioOnly       - Only audio formats, no subtitles
+ * ytDlpOptions    - Extra yt-dlp flags for every call on this platform
+ */
+const PLATFORMS = [youtube, instagram, facebook, tiktok, soundcloud, spotify, bandcamp, mixcloud, audiomack];
+
+// Fill in the fields most platforms leave out
+for (const platform of PLATFORMS) {
+  platform.pathPattern = platform.pathPattern || /^\/./;
+  platform.shortLinkHosts = platform.shortLinkHosts || [];
+  platform.cdnHosts = platform.cdnHosts || [];
+  platform.cookies = platform.cookies || 'always';
+  platform.guestAccess = platform.guestAccess || 'plan';
+  platform.directLink = !!platform.directLink;
+  platform.audioOnly = !!platform.audioOnly;
+  platform.ytDlpOptions = platform.ytDlpOptions || {};
+}
+
+/**
+ * Parse a media URL, the scheme being optional ("youtu.be/ID")
+ * @param {string} url
+ * @returns {URL|null}
+ */
+export function parseMediaUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Names of the supported platforms, for messages ("YouTube, Instagram, ...")
+ * @returns {Array<string>}
+ */
+export function getPlatformNames() {
+  return PLATFORMS.map((platform) => platform.name);
+}
+
+/**
+ * CDN domains of every platform (see cdnHosts), without duplicates
+ * @returns {Array<string>}
+ */
+export function getCdnHosts() {
+  return [...new Set(PLATFORMS.flatMap((platform) => platform.cdnHosts))];
+}
+
+function matchesHost(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Platform a URL belongs to (by host only, whatever the path)
+ * @param {string} url
+ * @returns {Object|null} - Platform module, null for unsupported sites
+ */
+export function getPlatform(url) {
+  const parsed = parseMediaUrl(url);
+  if (!parsed) return null;
+
+  const hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  return PLATFORMS.find((platform) => platform.hosts.some((domain) => matchesHost(hostname, domain))) || null;
+}
+
+/**
+ * Whether a URL is a media (or playlist) page of a supported platform
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSupportedUrl(url) {
+  const platform = getPlatform(url);
+  if (!platform) return false;
+
+  const parsed = parseMediaUrl(url);
+  return platform.pathPattern.test(parsed.pathname);
+}
+
+/**
+ * Whether a URL is a platform share link that must be resolved first
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isShortLink(url) {
+  const platform = getPlatform(url);
+  if (!platform) return false;
+
+  const hostname = parseMediaUrl(url).hostname.toLowerCase();
+  return platform.shortLinkHosts.some((domain) => matchesHost(hostname, domain));
+}
@@ -0,0 +1,18 @@
+/**
+ * Instagram posts, reels and IGTV (ddinstagram.com is the embed mirror)
+ * Standard quality is served as a direct CDN link through /api/proxy.
+ */
+export default {
+  id: 'instagram',
+  name: 'Instagram',
+  hosts: ['instagram.com', 'ddinstagram.com'],
+  cdnHosts: ['cdninstagram.com', 'fbcdn.net'],
+  pathPattern: /^\/(p|reels?|tv)\/.+/,
+  directLink: true,
+  guestAccess: 'social',
+
+  getMediaId(url) {
+    const match = url.pathname.match(/^\/(p|reels?|tv)\/([A-Za-z0-9_-]+)/);
+    return match ? match[2] : null;
+  }
+};
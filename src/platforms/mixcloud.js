@@ -0,0 +1,30 @@
+/**
+ * Mixcloud mixes and playlists (DJ sets, radio shows; audio only, account required)
+ */
+export default {
+  id: 'mixcloud',
+  name: 'Mixcloud',
+  hosts: ['mixcloud.com'],
+  // Covers only: the site and its API must stay out of the proxy allowlist
+  cdnHosts: ['thumbnailer.mixcloud.com'],
+  pathPattern: /^\/[^/]+\/[^/]+/,
+  audioOnly: true,
+  guestAccess: 'none',
+
+  getMediaId(url) {
+    const match = url.pathname.match(/^\/([^/]+)\/([^/]+)/);
+    return match && match[2] !== 'playlists' ? `mixcloud_${match[1]}_${match[2]}` : null;
+  },
+
+  isPlaylist(url) {
+    return /^\/[^/]+\/playlists\/[^/]+/.test(url.pathname);
+  },
+
+  // Mixes have no track/artist fields: the DJ is the artist, the show (if any) the album
+  getMetadata(output) {
+    return {
+      artist: output.uploader,
+      album: output.series
+    };
+  }
+};
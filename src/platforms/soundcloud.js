@@ -0,0 +1,15 @@
+/**
+ * SoundCloud tracks and sets (audio only, account required)
+ */
+export default {
+  id: 'soundcloud',
+  name: 'SoundCloud',
+  hosts: ['soundcloud.com'],
+  cdnHosts: ['sndcdn.com'],
+  audioOnly: true,
+  guestAccess: 'none',
+
+  isPlaylist(url) {
+    return /^\/[^/]+\/sets\/[^/]+/.test(url.pathname);
+  }
+};
@@ -0,0 +1,77 @@
+import { createInvalidMatchError, rankCandidates } from '../utils/trackMatch.js';
+
+// YouTube results scored for each track (see utils/trackMatch)
+const MATCH_CANDIDATES = 5;
+
+// Below this, the match is probably wrong: logged so bad matches can be spotted
+const LOW_CONFIDENCE = 0.5;
+
+/**
+ * Spotify tracks, podcast episodes, albums and playlists (audio only, account required)
+ * Spotify streams can't be downloaded: metadata comes from Spotify and the
+ * audio from the YouTube search result matching the track best.
+ */
+export default {
+  id: 'spotify',
+  name: 'Spotify',
+  hosts: ['spotify.com'],
+  // Covers
+  cdnHosts: ['scdn.co'],
+  audioOnly: true,
+  guestAccess: 'none',
+
+  getMediaId(url) {
+    const match = url.pathname.match(/\/(track|episode)\/([A-Za-z0-9]+)/);
+    if (!match) return null;
+    return match[1] === 'track' ? `spotify_${match[2]}` : `spotify_episode_${match[2]}`;
+  },
+
+  // Optional locale prefix: /intl-fr/album/ID
+  isPlaylist(url) {
+    return /^(\/intl-[a-z-]+)?\/(album|playlist)\//.test(url.pathname);
+  },
+
+  // The user may pick one of the alternatives instead (`match` = its YouTube ID)
+  async resolveSource(url, { match = null } = {}) {
+    console.log('Detected Spotify URL, fetching metadata...');
+    const { getSpotifyMetadata, cachedSpotifyLookup } = await import('../services/spotifyHelper.js');
+    const { searchYouTube } = await import('../services/mediaService.js');
+    const metadata = await getSpotifyMetadata(url);
+
+    // Searched and scored with the main artist only: featured artists are rarely in video titles
+    const track = { ...metadata, artist: metadata.artists[0] || metadata.artist };
+    const query = `${track.artist} - ${track.title}`;
+    const results = await cachedSpotifyLookup(`youtube:${query}`, () => {
+      console.log(`Searching YouTube for: ${query}`);
+      return searchYouTube(query, MATCH_CANDIDATES);
+    });
+    const candidates = rankCandidates(track, results);
+
+    // Only a scored candidate can be picked: any other video could be unrelated to the track
+    const chosen = match ? candidates.find((candidate) => candidate.id === match) : candidates[0];
+
+    if (match && !chosen) throw createInvalidMatchError('match must be one of the alternatives of this track');
+    if (!chosen) throw new Error(`No YouTube match found for: ${query}`);
+
+    if (match) {
+      console.log(`🎯 Using the chosen match: ${chosen.url}`);
+    } else if (chosen.confidence < LOW_CONFIDENCE) {
+      console.warn(`⚠️ Low confidence match (${chosen.confidence}) for "${query}": ${chosen.title}`);
+    } else {
+      console.log(`🎯 Matched "${query}" -> "${chosen.title}" (confidence ${chosen.confidence})`);
+    }
+
+    return {
+      url: chosen.url,
+      metadata,
+      match: chosen,
+      alternatives: candidates.filter((candidate) => candidate.id !== chosen.id)
+    };
+  },
+
+  // Tracks come from Spotify, each one is matched on YouTube at download time
+  async listPlaylist(url) {
+    const { getSpotifyCollection } = await import('../services/spotifyHelper.js');
+    return getSpotifyCollection(url);
+  }
+};
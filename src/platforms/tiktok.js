@@ -0,0 +1,18 @@
+/**
+ * TikTok videos
+ * Share links (vm./vt.tiktok.com) are resolved to the video URL first. TikTok's
+ * CDN blocks direct links, so downloads always go through yt-dlp.
+ */
+export default {
+  id: 'tiktok',
+  name: 'TikTok',
+  hosts: ['tiktok.com'],
+  cdnHosts: ['tiktokcdn.com', 'tiktokcdn-us.com'],
+  shortLinkHosts: ['vm.tiktok.com', 'vt.tiktok.com'],
+  guestAccess: 'social',
+
+  getMediaId(url) {
+    const match = url.pathname.match(/\/video\/(\d+)/);
+    return match ? match[1] : null;
+  }
+};
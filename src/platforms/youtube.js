@@ -0,0 +1,36 @@
+/**
+ * YouTube: videos, Shorts, lives and playlists
+ * Downloads run without cookies (they restrict the formats YouTube offers);
+ * cookies are only tried again on age-restricted/members-only videos.
+ */
+export default {
+  id: 'youtube',
+  name: 'YouTube',
+  hosts: ['youtube.com', 'youtu.be'],
+  // Streams and thumbnails
+  cdnHosts: ['googlevideo.com', 'ytimg.com'],
+  cookies: 'fallback',
+  guestAccess: 'plan',
+
+  getMediaId(url) {
+    if (url.hostname.endsWith('youtu.be')) {
+      return url.pathname.slice(1).split('/')[0] || null;
+    }
+    // /shorts/ID, /live/ID and /embed/ID carry the ID in the path
+    const pathMatch = url.pathname.match(/^\/(shorts|live|embed)\/([A-Za-z0-9_-]+)/);
+    return url.searchParams.get('v') || (pathMatch ? pathMatch[2] : null);
+  },
+
+  // A watch URL with `list=` stays a single video
+  isPlaylist(url) {
+    return url.pathname === '/playlist' && url.searchParams.has('list');
+  },
+
+  // Drop the playlist parameters of watch URLs so only the video is fetched
+  normalizeUrl(url) {
+    url.searchParams.delete('list');
+    url.searchParams.delete('index');
+    url.searchParams.delete('pp');
+    return url.toString();
+  }
+};
@@ -1,32 +1,77 @@
 import express from 'express';
-import fs from 'fs';
-import { authMiddleware } from '../middleware/auth.js';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { authMiddleware, getGuestToken } from '../middleware/auth.js';
 import { quotaMiddleware, incrementDownloadCounter } from '../middleware/quota.js';
 import {
-  downloadMedia,
   isValidMediaUrl,
+  isPlaylistUrl,
   getVideoInfo,
-  getDirectDownloadLink
+  getPlaylistInfo
 } from '../services/mediaService.js';
+import { formatDuration, LOUDNESS_PRESETS } from '../services/ffmpegService.js';
+import { createJob, getJob, cancelJob } from '../services/jobService.js';
+import { processConversion, streamConversion } from '../services/conversionService.js';
+import { processBulkConversion } from '../services/bulkService.js';
 import {
-  convertToMP3,
-  convertToMP4HD,
-  convertToMP4SD,
-  formatFileSize,
-  formatDuration
-} from '../services/ffmpegService.js';
+  getPlanPriority,
+  isPoolFull,
+  createServerBusyError
+} from '../services/workerPool.js';
+import { releaseCacheEntry } from '../services/cacheService.js';
+import { getProxiedImage } from '../services/imageService.js';
+import { parseClip, parseSplit, resolveSplitTracks } from '../utils/clip.js';
+import { parseAnimationOptions } from '../utils/animation.js';
+import { parseTags } from '../utils/tags.js';
+import { parseImageOptions, negotiateImageFormat } from '../utils/image.js';
 import {
-  uploadToStorage,
-  generateSignedUrl,
-  deleteLocalFile
-} from '../services/storageService.js';
+  FORMAT_IDS,
+  getFormatPreset,
+  isValidFormat,
+  isAudioFormat,
+  isAnimationFormat,
+  isSubtitleFormat,
+  listFormats
+} from '../utils/formats.js';
+import { parseSubtitleLanguage, createInvalidSubtitlesError } from '../utils/subtitles.js';
+import { parseMatchId, createInvalidMatchError } from '../utils/trackMatch.js';
 import { supabase } from '../utils/supabase.js';
+import { safeFetch } from '../utils/safeFetch.js';
+import { getPlatform, getPlatformNames } from '../platforms/index.js';
 
 const router = express.Router();
 
+// Request headers passed to the CDN (resuming, conditional requests)
+const PROXY_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+// CDN response headers passed to the client (sizes, resuming, caching)
+const PROXY_RESPONSE_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+// Largest file the download proxy relays (bytes)
+const PROXY_MAX_BYTES = parseInt(process.env.PROXY_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+
+/**
+ * Answer a request blocked by safeFetch (bad URL, domain not allowed, private
+ * address, too large, timeout) or rejected by imageService with its code
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @returns {boolean} - Whether the error had a code and was answered
+ */
+function sendProxyError(res, error) {
+  if (!error.code || !error.status) return false;
+  if (res.headersSent) {
+    res.destroy();
+  } else {
+    res.status(error.status).json({ success: false, error: error.message, code: error.code });
+  }
+  return true;
+}
+
 /**
  * GET /api/proxy
  * Proxy download for direct links (Instagram/FB) to force download
+ * Range requests and sizes go through (download managers can resume), the CDN
+ * is read only as fast as the client downloads, and a client disconnect stops it.
+ * Only allowed CDN domains are fetched (see utils/safeFetch).
  */
 router.get('/proxy', async (req, res) => {
   const { url, filename } = req.query;
@@ -35,47 +80,67 @@ router.get('/proxy', async (req, res) => {
     return res.status(400).send('Missing URL');
   }
 
+  // Client gone: stop pulling from the CDN
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
   try {
-    // Sanitize filename to remove invalid header characters
-    let finalFilename = filename || 'download.mp4';
-    // Remove or replace characters that are invalid in HTTP headers
-    finalFilename = finalFilename
-      .replace(/[^\x20-\x7E]/g, '') // Remove non-ASCII characters
-      .replace(/["\\]/g, '')        // Remove quotes and backslashes
-      .trim() || 'download.mp4';
-    
+    const headers = { 'accept-encoding': 'identity' }; // Lengths must match the bytes sent
+    for (const name of PROXY_REQUEST_HEADERS) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+
     // Fetch the file stream from the CDN
-    const response = await fetch(decodeURIComponent(url));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch file: ${response.statusText}`);
+    const response = await safeFetch(decodeURIComponent(url), {
+      headers,
+      signal: controller.signal,
+      maxBytes: PROXY_MAX_BYTES
+    });
+
+    // Upstream errors keep their status (404, 403, 416...)
+    if (!response.ok && response.status !== 304) {
+      response.body?.cancel();
+      return res.status(response.status).send(`Failed to fetch file: ${response.statusText}`);
     }
 
-    // Set headers to force download
-    res.setHeader('Content-Disposition', `attachment; filename="${finalFilename}"`);
-    res.setHeader('Content-Type', response.headers.get('content-type') || 'application/octet-stream');
-
-    // Pipe the web stream to the express response
-    // Node 18+ fetch returns a web stream, we need to convert or iterate
-    const reader = response.body.getReader();
-    
-    // Simple stream pumping
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      res.write(value);
+    res.status(response.status);
+    for (const name of PROXY_RESPONSE_HEADERS) {
+      const value = response.headers.get(name);
+      if (value) res.setHeader(name, value);
     }
-    res.end();
+    if (!response.headers.get('content-type')) res.setHeader('Content-Type', 'application/octet-stream');
+
+    // Set headers to force download
+    res.setHeader('Content-Disposition', getAttachmentHeader(filename || 'download.mp4'));
+
+    if (!response.body || response.status === 304) return res.end();
 
+    // pipeline honors backpressure and tears both sides down on error
+    await pipeline(Readable.fromWeb(response.body), res);
   } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('🛑 Proxy download cancelled by the client');
+      return;
+    }
+    if (sendProxyError(res, error)) return;
+
     console.error('Proxy Error:', error);
-    res.status(500).send('Error proxying download');
+    if (!res.headersSent) {
+      res.status(502).send('Error proxying download');
+    } else {
+      res.destroy();
+    }
   }
-})
+});
 
 /**
  * GET /api/proxy-image
  * Proxy images (thumbnails) to avoid CORS issues
+ * Only allowed CDN domains are fetched (see utils/safeFetch). Optional `w`/`h`/`fit`
+ * resize the image, sent as AVIF/WebP when the Accept header allows it; every
+ * version is cached on disk and revalidated with its ETag.
  */
 router.get('/proxy-image', async (req, res) => {
   const { url } = req.query;
@@ -84,34 +149,53 @@ router.get('/proxy-image', async (req, res) => {
     return res.status(400).send('Missing URL');
   }
 
+  let image = null;
   try {
-    // Fetch the image from the CDN
-    const response = await fetch(decodeURIComponent(url));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.statusText}`);
+    const options = parseImageOptions(req.query);
+    image = await getProxiedImage(decodeURIComponent(url), options, negotiateImageFormat(req.headers.accept));
+
+    // The image is pinned until sent; a client gone during the fetch already fired `close`
+    const { cacheKey } = image;
+    if (res.destroyed) {
+      releaseCacheEntry(cacheKey);
+      return;
     }
+    res.on('close', () => releaseCacheEntry(cacheKey));
 
-    // Set appropriate headers
-    res.setHeader('Content-Type', response.headers.get('content-type') || 'image/jpeg');
+    res.setHeader('Content-Type', image.mimeType);
     res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
+    res.setHeader('ETag', image.etag);
+    res.setHeader('Vary', 'Accept'); // The format depends on it
 
-    // Pipe the web stream to the express response
-    const reader = response.body.getReader();
-    
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      res.write(value);
-    }
-    res.end();
-
+    // Answers 304 when If-None-Match matches the ETag
+    await new Promise((resolve, reject) => {
+      // Errors once headers are out are client disconnects
+      res.sendFile(image.filePath, { lastModified: false }, (error) => (error && !res.headersSent ? reject(error) : resolve()));
+    });
   } catch (error) {
+    if (!image && sendProxyError(res, error)) return;
+
     console.error('Proxy Image Error:', error);
-    res.status(500).send('Error proxying image');
+    if (!res.headersSent) {
+      res.status(500).send('Error proxying image');
+    } else {
+      res.destroy();
+    }
   }
 });
 
+/**
+ * GET /api/formats
+ * Every output format with its container, codecs, bitrate, resolution cap
+ * and plan ('guest' or 'account': guests need an account for it on YouTube)
+ */
+router.get('/formats', (req, res) => {
+  res.json({
+    success: true,
+    formats: listFormats()
+  });
+});
+
 /**
  * POST /api/info
  * Get video metadata and available formats
@@ -128,29 +212,46 @@ router.post('/info', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid URL' });
     }
 
-    // Determine platform
-    let platform = 'unknown';
-    if (url.includes('youtube') || url.includes('youtu.be')) platform = 'youtube';
-    else if (url.includes('instagram')) platform = 'instagram';
-    else if (url.includes('facebook')) platform = 'facebook';
-    else if (url.includes('tiktok')) platform = 'tiktok';
-    else if (url.includes('spotify')) platform = 'spotify';
-    else if (url.includes('soundcloud')) platform = 'soundcloud';
+    const platform = getPlatform(url).id;
 
     console.log(`🔍 fetching info for: ${url} [${platform}]`);
 
+    // Playlists, albums and sets: list their entries
+    if (isPlaylistUrl(url)) {
+      const playlist = await getPlaylistInfo(url);
+
+      return res.json({
+        success: true,
+        platform,
+        type: 'playlist',
+        title: playlist.title,
+        author: playlist.author,
+        thumbnail: playlist.thumbnail,
+        entryCount: playlist.entryCount,
+        entries: playlist.entries.map((entry) => ({
+          ...entry,
+          duration: entry.duration ? formatDuration(entry.duration) : null
+        }))
+      });
+    }
+
     // Fetch video info
     const videoInfo = await getVideoInfo(url);
 
     res.json({
       success: true,
       platform,
+      type: 'single',
       title: videoInfo.title,
       author: videoInfo.author, // Pass author info
       uploader: videoInfo.author, // Legacy support
       thumbnail: videoInfo.thumbnail,
       duration: formatDuration(videoInfo.duration),
-      qualities: videoInfo.qualities
+      qualities: videoInfo.qualities,
+      subtitles: videoInfo.subtitles,
+      chapters: videoInfo.chapters,
+      // Spotify: YouTube video the audio comes from, and the others to pick from (`match` of /api/convert)
+      ...(videoInfo.match && { match: videoInfo.match, alternatives: videoInfo.alternatives })
     });
 
   } catch (error) {
@@ -162,65 +263,366 @@ router.post('/info', async (req, res) => {
   }
 });
 
+/**
+ * Check the optional `normalize` parameter (audio outputs only)
+ * @param {string} [normalize]
+ * @param {string} format
+ * @returns {string|null} - Error message, or null if valid
+ */
+function getNormalizeError(normalize, format) {
+  if (normalize === undefined || normalize === null) return null;
+
+  if (!Object.hasOwn(LOUDNESS_PRESETS, normalize)) {
+    return `Invalid normalize. Use: ${Object.keys(LOUDNESS_PRESETS).join(', ')}`;
+  }
+  if (!isAudioFormat(format)) {
+    return 'normalize is only available for audio formats';
+  }
+  return null;
+}
+
+/**
+ * Read the optional `subtitles` parameter (language code)
+ * Required by subtitle formats (srt, vtt, txt), burned into MP4 outputs
+ * @param {string} [subtitles]
+ * @param {string} format
+ * @param {string} url
+ * @returns {string|null} - Language, null if none
+ * @throws {Error} - INVALID_SUBTITLES
+ */
+function parseSubtitlesOption(subtitles, format, url) {
+  const lang = parseSubtitleLanguage(subtitles);
+
+  if (isSubtitleFormat(format) && !lang) {
+    throw createInvalidSubtitlesError(`subtitles (language code) is required for the ${format} format`);
+  }
+  if (lang && !isSubtitleFormat(format) && getFormatPreset(format).container !== 'mp4') {
+    throw createInvalidSubtitlesError('subtitles can only be burned into MP4 outputs');
+  }
+  if (lang && getPlatform(url)?.audioOnly) {
+    throw createInvalidSubtitlesError('Subtitles are not available for this platform');
+  }
+
+  return lang;
+}
+
+/**
+ * Read the optional `match` parameter: YouTube video picked among the
+ * `alternatives` of /api/info, used instead of the best match
+ * @param {string} [match]
+ * @param {string} url
+ * @returns {string|null} - YouTube video ID, null if none
+ * @throws {Error} - INVALID_MATCH
+ */
+function parseMatchOption(match, url) {
+  const matchId = parseMatchId(match);
+
+  if (matchId && (!getPlatform(url)?.resolveSource || isPlaylistUrl(url))) {
+    throw createInvalidMatchError('match is only available for Spotify tracks');
+  }
+
+  return matchId;
+}
+
+// Listed in INVALID_URL errors
+const SUPPORTED_PLATFORMS = getPlatformNames().join(', ');
+
+// Max URLs accepted by /api/convert/batch
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS) || 20;
+
+// Max tracks one media can be split into
+const MAX_SPLIT_TRACKS = parseInt(process.env.MAX_SPLIT_TRACKS) || 100;
+
+/**
+ * Premium rules for guests: which platform/format combinations need an account
+ * @param {string} url
+ * @param {string} format
+ * @returns {string|null} - Reason shown to the guest, or null if allowed
+ */
+function getPremiumRestriction(url, format) {
+  // 1. Platform policy (see platforms/index.js guestAccess)
+  const guestAccess = getPlatform(url)?.guestAccess;
+
+  // 2. Check Restrictions
+  const preset = getFormatPreset(format);
+
+  // Rule 0: Playlists, albums and sets are Premium
+  if (isPlaylistUrl(url)) {
+    return 'Le téléchargement de playlists nécessite un compte.';
+  }
+
+  // Rule 1: Audio platforms ('none': Spotify, SoundCloud, Bandcamp, Mixcloud, Audiomack) are strictly Premium
+  if (guestAccess === 'none') {
+    return 'Les téléchargements depuis cette plateforme nécessitent un compte.';
+  }
+
+  // Rule 2: Social Media (TikTok/IG/FB, 'social') - Audio & HQ Video are Premium
+  if (guestAccess === 'social') {
+    if (preset.kind === 'audio') {
+      return 'Le téléchargement audio nécessite un compte.'; // All audio is premium
+    }
+    if (preset.kind === 'video' && preset.plan === 'account') {
+      return 'Le téléchargement en Haute Qualité nécessite un compte.'; // HQ Video is premium
+    }
+  }
+
+  // Rule 3: YouTube ('plan') - formats of the 'account' plan (>720p video, lossless & >128kbps audio) are Premium
+  if (guestAccess === 'plan' && preset.plan === 'account') {
+    if (preset.lossless) {
+      return 'L\'audio sans perte (FLAC/WAV) nécessite un compte.';
+    } else if (preset.kind === 'audio') {
+      return 'L\'audio haute qualité (>128kbps) nécessite un compte.';
+    } else {
+      return 'La vidéo HD/4K nécessite un compte.';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Content-Disposition header forcing a download under `filename`
+ * ASCII fallback for old clients, UTF-8 name (RFC 5987) for the others
+ * @param {string} filename
+ * @returns {string}
+ */
+function getAttachmentHeader(filename) {
+  const asciiName = filename
+    .replace(/[^\x20-\x7E]/g, '') // Remove non-ASCII characters
+    .replace(/["\\]/g, '')        // Remove quotes and backslashes
+    .trim() || 'download';
+  const utf8Name = encodeURIComponent(filename)
+    .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${utf8Name}`;
+}
+
+/**
+ * Job items of a split: one clip per track, tagged as a track of the media
+ * @param {Array} tracks - From resolveSplitTracks
+ * @param {Object} params - { url, format, tags (user overrides), info (getVideoInfo) }
+ * @returns {Array}
+ */
+function toSplitItems(tracks, { url, format, tags, info }) {
+  return tracks.map((track) => ({
+    index: track.index,
+    title: track.title,
+    url,
+    format,
+    clip: { start: track.start, end: track.end },
+    tags: {
+      album: info.title,
+      ...tags,
+      title: track.title,
+      track: `${track.index}/${tracks.length}`
+    }
+  }));
+}
+
+/**
+ * Reject a multi-item job larger than the user's remaining quota
+ * (every item counts as one download; guests have no quota)
+ * @returns {boolean} - true if a 403 was sent
+ */
+function rejectOverQuota(req, res, itemCount, label) {
+  if (!req.userQuota) return false;
+
+  const remaining = req.userQuota.downloadsLimit - req.userQuota.downloadsUsed;
+  if (itemCount <= remaining) return false;
+
+  res.status(403).json({
+    success: false,
+    error: `This ${label} has ${itemCount} items but only ${remaining} downloads are left on your plan.`,
+    code: 'QUOTA_EXCEEDED',
+    quota: {
+      used: req.userQuota.downloadsUsed,
+      limit: req.userQuota.downloadsLimit,
+      plan: req.userQuota.planType
+    }
+  });
+  return true;
+}
+
+/**
+ * Reject new work when a queue is full
+ * @param {Object} res
+ * @param {string} [poolName] - Pool the work waits in first ('download' | 'transcode')
+ * @returns {boolean} - true if a 503 was sent
+ */
+function rejectIfBusy(res, poolName = 'download') {
+  if (!isPoolFull(poolName)) return false;
+
+  const busyError = createServerBusyError();
+  res.status(busyError.status).json({
+    success: false,
+    error: busyError.message,
+    code: busyError.code
+  });
+  return true;
+}
+
+// HTTP status of a failed job in wait mode (default 500)
+const FAILED_JOB_STATUS = {
+  SERVER_BUSY: 503,
+  INVALID_CLIP: 400, // start/end beyond the media duration
+  INVALID_ANIMATION: 400, // GIF/WebP of a media too long
+  SUBTITLES_NOT_FOUND: 404 // No subtitles in the requested language
+};
+
+/**
+ * Answer a conversion request: 202 with the job ID, or (wait mode)
+ * hold the request until the job finishes and return its result
+ * @param {Object} res
+ * @param {Object} job
+ * @param {Promise<void>} conversion - Running pipeline of the job
+ * @param {Object} options - { guestToken, wait }
+ */
+async function respondWithJob(res, job, conversion, { guestToken, wait }) {
+  const jobInfo = {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    statusUrl: `/api/jobs/${job.id}`,
+    guestToken
+  };
+
+  // === ASYNC MODE (default): return the job ID right away ===
+  if (!wait) {
+    return res.status(202).json({ success: true, ...jobInfo });
+  }
+
+  // === SYNC MODE (legacy clients): hold the request until the job finishes ===
+  // Nobody will collect the result if the client leaves: cancel and clean up
+  res.on('close', () => {
+    if (!res.writableEnded && cancelJob(job.id)) {
+      console.log(`🛑 Client disconnected, job ${job.id} cancelled`);
+    }
+  });
+
+  await conversion;
+  const finishedJob = getJob(job.id);
+
+  if (finishedJob.status === 'cancelled') {
+    // Usually the client is gone already; answer in case it was cancelled via DELETE
+    if (res.destroyed) return;
+
+    return res.status(409).json({
+      success: false,
+      jobId: job.id,
+      error: 'Conversion cancelled',
+      code: 'JOB_CANCELLED'
+    });
+  }
+
+  if (finishedJob.status === 'failed') {
+    return res.status(FAILED_JOB_STATUS[finishedJob.error.code] || 500).json({
+      success: false,
+      jobId: job.id,
+      error: finishedJob.error.message,
+      code: finishedJob.error.code
+    });
+  }
+
+  return res.json({
+    success: true,
+    jobId: job.id,
+    ...finishedJob.result,
+    ...(finishedJob.items && { items: finishedJob.items })
+  });
+}
+
 /**
  * POST /api/convert
  * Convert Media URL to specified format
  */
 router.post('/convert', authMiddleware, quotaMiddleware, async (req, res) => {
-  const { url, format, userId } = req.body;
+  const { url, format, wait, start, end, fps, width, tags, normalize, subtitles, split, match } = req.body;
+
+  // Validate input
+  if (!url || !format) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL and format are required',
+      code: 'MISSING_PARAMETERS'
+    });
+  }
+
+  // Validate Media URL
+  if (!isValidMediaUrl(url)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid Media URL. Supported: ${SUPPORTED_PLATFORMS}.`,
+      code: 'INVALID_URL'
+    });
+  }
+
+  // Validate format
+  if (!isValidFormat(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid format. Use: ${FORMAT_IDS.join(', ')}`,
+      code: 'INVALID_FORMAT'
+    });
+  }
+
+  // Optional clip (checked against the media duration once it is known),
+  // GIF/WebP options, tag overrides, subtitle language, track splitting and chosen Spotify match
+  let clip;
+  let animation = null;
+  let tagOverrides;
+  let subtitleLang;
+  let splitSegments;
+  let matchId;
+  try {
+    clip = parseClip({ start, end });
+    splitSegments = parseSplit(split, MAX_SPLIT_TRACKS);
+    if (isAnimationFormat(format)) animation = parseAnimationOptions({ fps, width });
+    tagOverrides = parseTags(tags);
+    subtitleLang = parseSubtitlesOption(subtitles, format, url);
+    matchId = parseMatchOption(match, url);
+  } catch (error) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  const normalizeError = getNormalizeError(normalize, format);
+  if (normalizeError) {
+    return res.status(400).json({
+      success: false,
+      error: normalizeError,
+      code: 'INVALID_NORMALIZATION'
+    });
+  }
+
+  if (clip && isPlaylistUrl(url)) {
+    return res.status(400).json({
+      success: false,
+      error: 'start/end are not supported for playlists',
+      code: 'INVALID_CLIP'
+    });
+  }
+
+  if (splitSegments && (clip || isPlaylistUrl(url) || isAnimationFormat(format) || isSubtitleFormat(format))) {
+    return res.status(400).json({
+      success: false,
+      error: 'split is not available with start/end, playlists, GIF/WebP or subtitle formats',
+      code: 'INVALID_CLIP'
+    });
+  }
 
   // --- PREMIUM RESTRICTION LOGIC ---
   // Verify Guest vs Logged In using the middleware's req.user
   const isGuest = !req.user;
 
   if (isGuest) {
-    // 1. Detect Platform
-    let platform = 'unknown';
-    if (url.includes('youtube.com') || url.includes('youtu.be')) platform = 'youtube';
-    else if (url.includes('spotify.com')) platform = 'spotify';
-    else if (url.includes('soundcloud.com')) platform = 'soundcloud';
-    else if (url.includes('tiktok.com')) platform = 'tiktok';
-    else if (url.includes('instagram.com')) platform = 'instagram';
-    else if (url.includes('facebook.com') || url.includes('fb.watch')) platform = 'facebook';
-
-    // 2. Check Restrictions
-    let isAllowed = true;
-    let restrictionReason = '';
-
-    // Rule 1: Spotify & SoundCloud are strictly Premium
-    if (platform === 'spotify' || platform === 'soundcloud') {
-      isAllowed = false;
-      restrictionReason = 'Les téléchargements depuis cette plateforme nécessitent un compte.';
-    }
-
-    // Rule 2: Social Media (TikTok/IG/FB) - Audio & HQ Video are Premium
-    else if (['tiktok', 'instagram', 'facebook'].includes(platform)) {
-      if (format.startsWith('mp3')) {
-         isAllowed = false; // All audio is premium
-         restrictionReason = 'Le téléchargement audio nécessite un compte.';
-      } else if (format.includes('hd') || format.includes('4k') || format.includes('1080p')) {
-         isAllowed = false; // HQ Video is premium
-         restrictionReason = 'Le téléchargement en Haute Qualité nécessite un compte.';
-      }
-    }
+    const restrictionReason = getPremiumRestriction(url, format) ||
+      (splitSegments && 'Le découpage en pistes nécessite un compte.');
 
-    // Rule 3: YouTube - >720p Video & >128kbps Audio are Premium
-    else if (platform === 'youtube') {
-      if (format.startsWith('mp3')) {
-        const bitrate = parseInt(format.split('-')[1]) || 0;
-        if (bitrate > 128) {
-          isAllowed = false;
-          restrictionReason = 'L\'audio haute qualité (>128kbps) nécessite un compte.';
-        }
-      } else if (format.startsWith('mp4')) {
-         if (format === 'mp4-4k' || format === 'mp4-hd') {
-           isAllowed = false;
-           restrictionReason = 'La vidéo HD/4K nécessite un compte.';
-         }
-      }
-    }
-
-    if (!isAllowed) {
+    if (restrictionReason) {
       return res.status(403).json({
         success: false,
         error: `Fonctionnalité Premium: ${restrictionReason}`,
@@ -230,208 +632,344 @@ router.post('/convert', authMiddleware, quotaMiddleware, async (req, res) => {
   }
   // --- END PREMIUM RESTRICTION LOGIC ---
 
-  let downloadedFilePath = null;
-  let convertedFilePath = null;
-  let storageFilePath = null;
+  // Jobs belong to the authenticated user, or to a guest token
+  // Guests without a token get a fresh one to poll /api/jobs with
+  let guestToken = null;
+  if (isGuest) {
+    guestToken = getGuestToken(req) || crypto.randomUUID();
+  }
 
-  try {
-    // Validate input
-    if (!url || !format) {
+  // Reject early instead of queueing work we can't serve
+  if (rejectIfBusy(res)) return;
+
+  // Playlists, albums and sets: one job converting every entry into a ZIP
+  let playlist = null;
+  if (isPlaylistUrl(url)) {
+    try {
+      playlist = await getPlaylistInfo(url);
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch playlist information',
+        code: 'PLAYLIST_FETCH_FAILED'
+      });
+    }
+
+    if (playlist.entries.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'URL and format are required',
-        code: 'MISSING_PARAMETERS'
+        error: 'This playlist is empty',
+        code: 'EMPTY_PLAYLIST'
       });
     }
 
-    // Validate Media URL
-    if (!isValidMediaUrl(url)) {
+    // Every entry counts as one download
+    if (rejectOverQuota(req, res, playlist.entries.length, 'playlist')) return;
+  }
+
+  // Chapters or timestamps: one job cutting every track of the media into a ZIP
+  let splitInfo = null;
+  let tracks = null;
+  if (splitSegments) {
+    try {
+      splitInfo = await getVideoInfo(url, { match: matchId });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to fetch video info',
+        code: error.code || 'CONVERSION_FAILED'
+      });
+    }
+
+    try {
+      tracks = resolveSplitTracks(splitSegments === 'chapters' ? splitInfo.chapters : splitSegments, splitInfo.durationSeconds);
+    } catch (error) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    if (tracks.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid Media URL. Supported: YouTube, Instagram, Facebook, TikTok, SoundCloud, Spotify.',
-        code: 'INVALID_URL'
+        error: 'This media has no chapters',
+        code: 'NO_CHAPTERS'
       });
     }
+  }
+
+  const job = createJob({
+    userId: req.user ? req.user.id : null,
+    guestToken,
+    url,
+    format,
+    priority: getPlanPriority(req.userQuota ? req.userQuota.planType : null),
+    type: playlist ? 'playlist' : tracks ? 'split' : 'single',
+    title: playlist ? playlist.title : splitInfo ? splitInfo.title : null,
+    items: playlist ? playlist.entries : tracks ? toSplitItems(tracks, { url, format, tags: tagOverrides, info: splitInfo }) : null,
+    zip: !!playlist || !!tracks,
+    clip,
+    animation,
+    tags: tagOverrides,
+    normalize: normalize || null,
+    subtitles: subtitleLang,
+    match: matchId
+  });
+
+  const conversion = playlist || tracks
+    ? processBulkConversion(job, { videoInfo: splitInfo })
+    : processConversion(job, {
+      proxyBaseUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+  return respondWithJob(res, job, conversion, { guestToken, wait });
+});
+
+/**
+ * POST /api/convert/batch
+ * Convert several URLs in one request: { items: [{ url, format, fps, width, tags, normalize, subtitles }], zip, wait }
+ * Items are processed a few at a time; the job reports a result per item
+ * and, with `zip: true`, one archive holding every converted file
+ */
+router.post('/convert/batch', authMiddleware, quotaMiddleware, async (req, res) => {
+  const { items, zip, wait } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'items must be a non-empty array of { url, format }',
+      code: 'MISSING_PARAMETERS'
+    });
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      error: `A batch can hold at most ${MAX_BATCH_ITEMS} items`,
+      code: 'TOO_MANY_ITEMS'
+    });
+  }
+
+  const isGuest = !req.user;
+
+  // Validate every item before starting anything (index is 1-based, as in the job)
+  const animations = []; // GIF/WebP options per item
+  const tagOverrides = []; // Tag overrides per item
+  const subtitleLangs = []; // Subtitle language per item
+  for (const [i, item] of items.entries()) {
+    const index = i + 1;
+    const { url, format, fps, width, tags, normalize, subtitles } = item || {};
 
-    // Validate format
-    const validFormats = ['mp3-320', 'mp3-192', 'mp3-128', 'mp4-4k', 'mp4-hd', 'mp4-sd'];
-    if (!validFormats.includes(format)) {
+    if (!url || !format) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid format. Use: mp3-320, mp3-192, mp3-128, mp4-hd, or mp4-sd',
-        code: 'INVALID_FORMAT'
+        error: `Item ${index}: URL and format are required`,
+        code: 'MISSING_PARAMETERS',
+        index
       });
     }
 
-    console.log(`\n🎬 Starting conversion:`);
-    console.log(`   URL: ${url}`);
-    console.log(`   Format: ${format}`);
-    console.log(`   User: ${userId || 'anonymous'}\n`);
-
-    // === FREE PLATFORMS (Instagram, Facebook) ===
-    // We use Direct Download ONLY for Standard Quality (mp4-sd) or Low Audio (128kbps)
-    // TikTok is excluded due to CDN blocking - it always uses yt-dlp pipeline
-    // If user wants HD/4K, we use the Premium Pipeline (yt-dlp) to find better streams
-    const isFreePlatform = (url.includes('instagram.com') || 
-                           url.includes('facebook.com') || 
-                           url.includes('fb.watch'));
-
-    // Free tier for social media: Only Standard Video (720p) and Low Audio (128kbps)
-    // Premium tier: High Video (1080p+) and High Audio (320kbps, 192kbps)
-    const useDirectDownload = isFreePlatform && (format === 'mp4-sd' || format === 'mp3-128');
-
-    if (useDirectDownload) {
-      console.log('⚡ FREE PLATFORM - Providing proxied download link');
-      
-      // Determine if user wants audio or video
-      const directFormat = format.startsWith('mp3') ? 'audio' : 'video';
-      const directLink = await getDirectDownloadLink(url, directFormat);
-      
-      // Increment counter for analytics (disabled for now due to DB error)
-      // if (userId) {
-      //   await incrementDownloadCounter(userId);
-      // }
-
-      // Set appropriate filename extension
-      const fileExtension = format.startsWith('mp3') ? 'mp3' : 'mp4';
-      const filename = `${directLink.title}.${fileExtension}`;
-
-      // Construct PROXY URL
-      // We send the CDN url and filename to our proxy endpoint
-      // This forces the "Content-Disposition: attachment" header
-      const proxyUrl = `${req.protocol}://${req.get('host')}/api/proxy?url=${encodeURIComponent(directLink.downloadUrl)}&filename=${encodeURIComponent(filename)}`;
+    if (!isValidMediaUrl(url) || isPlaylistUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: `Item ${index}: Invalid Media URL. Supported: ${SUPPORTED_PLATFORMS} (playlists go through /api/convert).`,
+        code: 'INVALID_URL',
+        index
+      });
+    }
 
-      return res.json({
-        success: true,
-        downloadUrl: proxyUrl, // Return the proxy URL instead of direct link
-        filename: filename,
-        fileSize: directLink.fileSize,
-        duration: directLink.duration,
-        platform: 'free'
+    if (!isValidFormat(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Item ${index}: Invalid format. Use: ${FORMAT_IDS.join(', ')}`,
+        code: 'INVALID_FORMAT',
+        index
       });
     }
 
-    // === PAID PLATFORMS (YouTube, Spotify, SoundCloud) - Full Processing ===
-    console.log('💎 PREMIUM PLATFORM - Processing with conversion pipeline');
+    const normalizeError = getNormalizeError(normalize, format);
+    if (normalizeError) {
+      return res.status(400).json({
+        success: false,
+        error: `Item ${index}: ${normalizeError}`,
+        code: 'INVALID_NORMALIZATION',
+        index
+      });
+    }
 
-    // Step 1: Get video info
-    console.log('📝 Step 1: Fetching video info...');
-    const videoInfo = await getVideoInfo(url);
-    console.log(`   Title: ${videoInfo.title}`);
-    console.log(`   Author: ${videoInfo.author}`);
-    console.log(`   Duration: ${formatDuration(videoInfo.duration)}\n`);
-
-    // Step 2: Download video
-    console.log('⬇️  Step 2: Downloading media...');
-    const downloadFormat = format.startsWith('mp3') ? 'audio' : 'video';
-    
-    // Determine quality target
-    let qualityTarget = 'best'; // Default 1080p compatible
-    if (format === 'mp4-4k') qualityTarget = '4k';
-    else if (format === 'mp4-sd') qualityTarget = 'standard';
-    
-    const { filePath: downloadPath } = await downloadMedia(url, downloadFormat, qualityTarget);
-    downloadedFilePath = downloadPath;
-    console.log(`   Downloaded to: ${downloadPath} [Quality: ${qualityTarget}]\n`);
-
-    // Step 3: Convert to desired format
-    console.log('🔄 Step 3: Converting format...');
-    let finalFilePath;
-    const safeTitle = videoInfo.title
-      .replace(/[^a-zA-Z0-9\s-]/g, '')
-      .replace(/\s+/g, '_')
-      .substring(0, 50);
-
-    if (format === 'mp3-320') {
-      const outputFilename = `${safeTitle}_320kbps.mp3`;
-      finalFilePath = await convertToMP3(downloadedFilePath, outputFilename);
-      console.log(`   Converted to MP3 320kbps: ${outputFilename}\n`);
-    } else if (format === 'mp3-192') {
-      const outputFilename = `${safeTitle}_192kbps.mp3`;
-      finalFilePath = await convertToMP3(downloadedFilePath, outputFilename, 192);
-      console.log(`   Converted to MP3 192kbps: ${outputFilename}\n`);
-    } else if (format === 'mp3-128') {
-      const outputFilename = `${safeTitle}_128kbps.mp3`;
-      finalFilePath = await convertToMP3(downloadedFilePath, outputFilename, 128);
-      console.log(`   Converted to MP3 128kbps: ${outputFilename}\n`);
-    } else if (format === 'mp4-4k') {
-      // === PRO MODE: NO CONVERSION ===
-      console.log('⚡ FAST PATH: Using Max resolution download (4K/2K/8K)');
-      finalFilePath = downloadedFilePath;
-    } else if (format === 'mp4-hd') {
-      // === OPTIMIZATION: SKIP FFmpeg RE-ENCODING ===
-      console.log('⚡ FAST PATH: Using H.264 compatible download (1080p)');
-      finalFilePath = downloadedFilePath; 
-
-    } else if (format === 'mp4-sd') {
-      // === OPTIMIZATION: SKIP FFmpeg RE-ENCODING ===
-      console.log('⚡ FAST PATH: Using H.264 compatible download (720p)');
-      finalFilePath = downloadedFilePath;
+    try {
+      animations[i] = isAnimationFormat(format) ? parseAnimationOptions({ fps, width }) : null;
+      tagOverrides[i] = parseTags(tags);
+      subtitleLangs[i] = parseSubtitlesOption(subtitles, format, url);
+    } catch (error) {
+      return res.status(error.status).json({
+        success: false,
+        error: `Item ${index}: ${error.message}`,
+        code: error.code,
+        index
+      });
     }
 
-    convertedFilePath = finalFilePath;
-
-    // Step 3.5: Apply Watermarking (REMOVED PER USER REQUEST)
-    // Media files are now always delivered clean.
-    // Logic for checking plan type is no longer needed here for watermarking purposes.
-
-    // Get file size
-    const fileStats = fs.statSync(convertedFilePath);
-    const fileSize = formatFileSize(fileStats.size);
-    const filename = finalFilePath.split(/[\\/]/).pop();
-
-    // Step 4: Upload to Supabase Storage
-    console.log('☁️  Step 4: Uploading to storage...');
-    storageFilePath = await uploadToStorage(convertedFilePath, 'conversions');
-    console.log(`   Uploaded to: ${storageFilePath}\n`);
-
-    // Step 5: Generate signed URL
-    console.log('🔗 Step 5: Generating download URL...');
-    const signedUrl = await generateSignedUrl(storageFilePath, 'conversions', 86400, filename);
-    console.log(`   URL generated (valid for 24h)\n`);
-
-    // Step 6: Cleanup local files
-    console.log('🧹 Step 6: Cleaning up temp files...');
-    deleteLocalFile(downloadedFilePath);
-    deleteLocalFile(convertedFilePath);
-    console.log(`   Cleanup complete\n`);
-
-    // Step 7: Increment download counter (if authenticated)
-    if (req.user) {
-      await incrementDownloadCounter(req.user.id);
-      console.log(`✅ Download counter incremented for user ${req.user.id}\n`);
+    const restrictionReason = isGuest ? getPremiumRestriction(url, format) : null;
+    if (restrictionReason) {
+      return res.status(403).json({
+        success: false,
+        error: `Fonctionnalité Premium: ${restrictionReason}`,
+        isPremium: true,
+        index
+      });
     }
+  }
 
-    console.log('🎉 Conversion completed successfully!\n');
+  // Every item counts as one download
+  if (rejectOverQuota(req, res, items.length, 'batch')) return;
+
+  if (rejectIfBusy(res)) return;
+
+  const guestToken = isGuest ? getGuestToken(req) || crypto.randomUUID() : null;
+
+  const job = createJob({
+    userId: req.user ? req.user.id : null,
+    guestToken,
+    url: null,
+    format: null,
+    priority: getPlanPriority(req.userQuota ? req.userQuota.planType : null),
+    type: 'batch',
+    items: items.map(({ url, format, normalize }, i) => ({
+      index: i + 1,
+      url,
+      format,
+      ...(normalize && { normalize }),
+      ...(animations[i] && { animation: animations[i] }),
+      ...(tagOverrides[i] && { tags: tagOverrides[i] }),
+      ...(subtitleLangs[i] && { subtitles: subtitleLangs[i] })
+    })),
+    zip: !!zip
+  });
 
-    // Return success response
-    return res.json({
-      success: true,
-      downloadUrl: signedUrl,
-      filename,
-      fileSize,
-      duration: formatDuration(videoInfo.duration),
-      videoInfo: {
-        title: videoInfo.title,
-        author: videoInfo.author,
-        thumbnail: videoInfo.thumbnail
-      },
-      message: 'Conversion completed successfully'
+  const conversion = processBulkConversion(job);
+
+  return respondWithJob(res, job, conversion, { guestToken, wait });
+});
+
+/**
+ * GET /api/convert/stream?url=...&format=mp3-128
+ * Streaming conversion for audio formats (`streamable` in GET /api/formats):
+ * yt-dlp pipes into ffmpeg, which writes straight into the response, so the
+ * download starts right away and nothing is stored on the server.
+ * No job is created: errors before the first byte are JSON, later ones abort the response.
+ */
+router.get('/convert/stream', authMiddleware, quotaMiddleware, async (req, res) => {
+  const { url, format, match } = req.query;
+
+  if (!url || !format) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL and format are required',
+      code: 'MISSING_PARAMETERS'
     });
+  }
+
+  if (!isValidMediaUrl(url) || isPlaylistUrl(url)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid Media URL. Streaming takes a single media (${SUPPORTED_PLATFORMS}).`,
+      code: 'INVALID_URL'
+    });
+  }
 
+  const preset = getFormatPreset(format);
+  if (!preset || !preset.streamable) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid format for streaming. Use: ${listFormats().filter((f) => f.streamable).map((f) => f.id).join(', ')}`,
+      code: 'INVALID_FORMAT'
+    });
+  }
+
+  if (!req.user) {
+    const restrictionReason = getPremiumRestriction(url, format);
+    if (restrictionReason) {
+      return res.status(403).json({
+        success: false,
+        error: `Fonctionnalité Premium: ${restrictionReason}`,
+        isPremium: true
+      });
+    }
+  }
+
+  let matchId;
+  try {
+    matchId = parseMatchOption(match, url);
   } catch (error) {
-    console.error('❌ Conversion error:', error);
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
 
-    // Cleanup on error
-    if (downloadedFilePath) deleteLocalFile(downloadedFilePath);
-    if (convertedFilePath) deleteLocalFile(convertedFilePath);
+  if (rejectIfBusy(res, 'transcode')) return;
 
-    // Return error response
-    return res.status(500).json({
+  let info;
+  try {
+    info = await getVideoInfo(url, { match: matchId });
+  } catch (error) {
+    return res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Conversion failed',
-      code: 'CONVERSION_FAILED'
+      error: error.message || 'Failed to fetch video info',
+      code: error.code || 'CONVERSION_FAILED'
+    });
+  }
+
+  // Client gone: stop yt-dlp and ffmpeg (or leave the queue)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const filename = `${info.title.replace(/[\\/:*?"<>|]/g, '_')}.${preset.container}`;
+  res.setHeader('Content-Type', preset.mimeType);
+  res.setHeader('Content-Disposition', getAttachmentHeader(filename));
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await streamConversion(url, format, res, {
+      info,
+      match: matchId,
+      signal: controller.signal,
+      poolOptions: {
+        priority: getPlanPriority(req.userQuota ? req.userQuota.planType : null),
+        signal: controller.signal
+      }
     });
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      console.log(`🛑 Stream cancelled by the client: ${url}`);
+      return;
+    }
+
+    console.error('❌ Streaming conversion error:', error);
+
+    // Nothing sent yet: a normal JSON error
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Conversion failed',
+        code: error.code || 'CONVERSION_FAILED'
+      });
+    }
+    // Mid-stream: abort, the client must not keep a truncated file
+    return res.destroy();
+  }
+
+  console.log(`✅ Streamed ${filename}\n`);
+  if (req.user) {
+    await incrementDownloadCounter(req.user.id);
+    console.log(`✅ Download counter incremented for user ${req.user.id}\n`);
   }
 });
 
@@ -0,0 +1,153 @@
+import express from 'express';
+import { authMiddleware, getGuestToken } from '../middleware/auth.js';
+import {
+  FINAL_STATES,
+  getJob,
+  listJobs,
+  isJobOwner,
+  serializeJob,
+  subscribeToJob,
+  cancelJob
+} from '../services/jobService.js';
+
+const router = express.Router();
+
+// Resolve who is asking: authenticated user or guest token
+const getOwner = (req) => ({
+  userId: req.user ? req.user.id : null,
+  guestToken: req.user ? null : getGuestToken(req)
+});
+
+/**
+ * GET /api/jobs
+ * List conversion jobs of the current user (or guest token)
+ */
+router.get('/', authMiddleware, (req, res) => {
+  const owner = getOwner(req);
+
+  if (!owner.userId && !owner.guestToken) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication or X-Guest-Token header required',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  res.json({
+    success: true,
+    jobs: listJobs(owner).map(serializeJob)
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get status, result URL or error of a conversion job
+ */
+router.get('/:id', authMiddleware, (req, res) => {
+  const job = getJob(req.params.id);
+
+  // Same response for unknown and foreign jobs (don't leak job IDs)
+  if (!job || !isJobOwner(job, getOwner(req))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream job progress as Server-Sent Events
+ * Events: `status` (stage changes, full job), `progress` ({ stage, percent, speed, eta })
+ * The stream closes once the job is done, failed or cancelled
+ */
+router.get('/:id/events', authMiddleware, (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job || !isJobOwner(job, getOwner(req))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Initial snapshot, so late subscribers know where the job stands
+  send('status', serializeJob(job));
+  if (FINAL_STATES.includes(job.status)) {
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, ({ type, job: updatedJob }) => {
+    if (type === 'progress') {
+      send('progress', updatedJob.progress);
+      return;
+    }
+
+    send('status', serializeJob(updatedJob));
+    if (FINAL_STATES.includes(updatedJob.status)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  res.on('close', cleanup);
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a conversion: kills its yt-dlp/ffmpeg processes and removes partial files
+ */
+router.delete('/:id', authMiddleware, (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job || !isJobOwner(job, getOwner(req))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+      code: 'JOB_ALREADY_FINISHED'
+    });
+  }
+
+  console.log(`🛑 Job ${job.id} cancelled by client`);
+
+  res.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+export default router;
@@ -6,6 +6,8 @@ import { fileURLToPath } from 'url';
 import rateLimit from 'express-rate-limit';
 import converterRoutes from './routes/converter.js';
 import { startCleanupJob } from './services/cronService.js';
+import { getPoolStats } from './services/workerPool.js';
+import { getCacheStats } from './services/cacheService.js';
 
 // Load environment variables
 dotenv.config();
@@ -71,18 +73,22 @@ app.use('/api', limiter);
 
 import exportRoutes from './routes/export.js';
 import shareRoutes from './routes/share.js';
+import jobRoutes from './routes/jobs.js';
 
 // Routes
 app.use('/api', converterRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/share', shareRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    pools: getPoolStats(),
+    cache: getCacheStats()
   });
 });
 
@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { incrementDownloadCounter } from '../middleware/quota.js';
+import { produceMedia, prefetchMedia } from './conversionService.js';
+import { formatFileSize } from './ffmpegService.js';
+import {
+  uploadToStorage,
+  generateSignedUrl,
+  deleteLocalFile
+} from './storageService.js';
+import {
+  updateJobStatus,
+  updateJobQueuePosition,
+  updateJobProgress,
+  updateJobItem,
+  completeJob,
+  failJob
+} from './jobService.js';
+import { releaseCacheEntry } from './cacheService.js';
+import { throwIfCancelled } from '../utils/abort.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Items of one playlist/batch converted at the same time (each still goes through the worker pools)
+const BULK_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY) || 2;
+
+/**
+ * Convert every item of a playlist, batch or split job
+ * Each item gets its own download link, unless the job delivers one ZIP
+ * archive (`job.zip`, always the case for playlists and splits).
+ * Split items are clips of one media (`item.clip`), downloaded once up front.
+ * Failed items are reported on the item and skipped; the job only fails if
+ * no item could be converted.
+ * Never throws: the outcome is recorded on the job (done/failed)
+ * @param {Object} job - Job created by jobService.createJob with `items`
+ * @param {Object} [options]
+ * @param {Object} [options.videoInfo] - getVideoInfo result of the media being split
+ * @returns {Promise<void>}
+ */
+export async function processBulkConversion(job, { videoInfo = null } = {}) {
+  const { signal } = job.abortController;
+
+  const poolOptions = {
+    priority: job.priority,
+    onQueuePosition: (position) => updateJobQueuePosition(job.id, position),
+    signal
+  };
+
+  const converted = []; // { item, filePath, filename }, in item order once sorted
+  const cacheKeys = []; // Cache entries pinned by this job
+  const zipPath = path.join(__dirname, '../../temp', `${job.id}.zip`);
+  let finishedCount = 0;
+
+  const convertItem = async (item) => {
+    try {
+      // Batch items carry their own format
+      const media = await produceMedia(item.url, item.format || job.format, {
+        clip: item.clip || null,
+        info: videoInfo,
+        animation: item.animation || job.animation,
+        tags: item.tags || job.tags,
+        normalize: item.normalize || job.normalize,
+        subtitles: item.subtitles || job.subtitles,
+        match: job.match,
+        outputPrefix: `${job.id}_${item.index}`,
+        onStage: (status) => updateJobItem(job.id, item.index, { status }),
+        signal,
+        poolOptions
+      });
+      cacheKeys.push(...media.cacheKeys);
+      converted.push({ item, filePath: media.filePath, filename: media.filename });
+
+      const changes = { status: 'done', filename: media.filename };
+      if (media.loudness) changes.loudness = media.loudness;
+      if (!job.zip) {
+        // Cached files stay in the cache for other jobs (copied, never moved)
+        updateJobItem(job.id, item.index, { status: 'storing' });
+        const storageFilePath = await uploadToStorage(media.filePath, 'conversions', `${Date.now()}_${media.filename}`, {
+          copy: true
+        });
+        changes.downloadUrl = await generateSignedUrl(storageFilePath, 'conversions', 86400, media.filename);
+        changes.fileSize = formatFileSize(fs.statSync(media.filePath).size);
+      }
+      updateJobItem(job.id, item.index, changes);
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') throw error;
+
+      console.error(`❌ Item ${item.index} failed [job ${job.id}]:`, error.message);
+      updateJobItem(job.id, item.index, {
+        status: 'failed',
+        error: { message: error.message || 'Conversion failed', code: error.code || 'CONVERSION_FAILED' }
+      });
+    }
+
+    finishedCount++;
+    updateJobProgress(job.id, { percent: (finishedCount / job.items.length) * 100 });
+  };
+
+  try {
+    console.log(`\n📚 Starting ${job.type} conversion [job ${job.id}]:`);
+    if (job.url) console.log(`   URL: ${job.url}`);
+    console.log(`   Items: ${job.items.length}`);
+    console.log(`   Format: ${job.format || 'per item'}`);
+    console.log(`   User: ${job.userId || 'anonymous'}\n`);
+
+    updateJobStatus(job.id, 'downloading');
+
+    // Tracks of a split are all cut from the same media: download it once
+    if (job.type === 'split') {
+      cacheKeys.push(await prefetchMedia(job.url, job.format, {
+        match: job.match,
+        onProgress: (progress) => updateJobProgress(job.id, progress),
+        signal,
+        poolOptions
+      }));
+      updateJobStatus(job.id, 'converting');
+    }
+
+    // A few workers pull items until none are left
+    const pending = [...job.items];
+    const workers = Array.from({ length: Math.min(BULK_CONCURRENCY, pending.length) }, async () => {
+      while (pending.length > 0) {
+        throwIfCancelled(signal);
+        await convertItem(pending.shift());
+      }
+    });
+    // Wait for every worker, even after a cancel, so no pinned file is left behind
+    const outcomes = await Promise.allSettled(workers);
+    const workerFailure = outcomes.find((outcome) => outcome.status === 'rejected');
+    if (workerFailure) throw workerFailure.reason;
+
+    if (converted.length === 0) {
+      const error = new Error(`None of the ${job.type} items could be converted`);
+      error.code = `${job.type.toUpperCase()}_FAILED`;
+      throw error;
+    }
+
+    const result = {
+      downloadUrl: null,
+      filename: null,
+      fileSize: null
+    };
+
+    if (job.zip) {
+      // Build the ZIP (media is already compressed: store only)
+      console.log(`🗜️  Zipping ${converted.length}/${job.items.length} items...`);
+      updateJobStatus(job.id, 'storing');
+      converted.sort((a, b) => a.item.index - b.item.index);
+      await writeZip(zipPath, converted.map(({ item, filePath, filename }) => ({
+        filePath,
+        // Split tracks are named after their chapter
+        name: `${String(item.index).padStart(2, '0')} - ${job.type === 'split'
+          ? `${item.title.replace(/[\\/:*?"<>|]/g, '_')}${path.extname(filename)}`
+          : filename}`
+      })));
+
+      throwIfCancelled(signal);
+
+      const safeTitle = (job.title || `Linkiz ${job.type}`)
+        .replace(/[^a-zA-Z0-9\s-]/g, '')
+        .replace(/\s+/g, '_')
+        .substring(0, 50) || job.type;
+      result.filename = `${safeTitle}.zip`;
+      result.fileSize = formatFileSize(fs.statSync(zipPath).size);
+
+      const storageFilePath = await uploadToStorage(zipPath, 'conversions', `${Date.now()}_${result.filename}`);
+      result.downloadUrl = await generateSignedUrl(storageFilePath, 'conversions', 86400, result.filename);
+    }
+
+    // One download per converted item (a split media counts once)
+    if (job.userId) {
+      const downloadCount = job.type === 'split' ? 1 : converted.length;
+      for (let i = 0; i < downloadCount; i++) {
+        await incrementDownloadCounter(job.userId);
+      }
+      console.log(`✅ Download counter incremented by ${downloadCount} for user ${job.userId}\n`);
+    }
+
+    console.log(`🎉 Conversion completed successfully [${job.type} job ${job.id}]\n`);
+
+    completeJob(job.id, {
+      ...result,
+      itemCount: job.items.length,
+      convertedCount: converted.length,
+      failedCount: job.items.length - converted.length,
+      message: 'Conversion completed successfully'
+    });
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      console.log(`🛑 Conversion cancelled [${job.type} job ${job.id}]`);
+    } else {
+      console.error(`❌ Conversion error [${job.type} job ${job.id}]:`, error);
+    }
+
+    deleteLocalFile(zipPath);
+
+    // No-op for cancelled jobs (already in their final state)
+    failJob(job.id, error);
+  } finally {
+    // Let the cache evict what this job used
+    cacheKeys.forEach(releaseCacheEntry);
+  }
+}
+
+/**
+ * Write files into a ZIP archive
+ * @param {string} zipPath - Output path
+ * @param {Array<{ filePath: string, name: string }>} files - Name = path inside the archive
+ * @returns {Promise<void>} - Resolves once the archive is fully written
+ */
+function writeZip(zipPath, files) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { store: true });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    for (const file of files) {
+      archive.file(file.filePath, { name: file.name });
+    }
+    archive.finalize();
+  });
+}
@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Media cache (temp/cache)
+ * Stores raw downloads and converted outputs, addressed by a hash of
+ * (source media ID, kind, variant). An index tracks size and last access;
+ * least recently used entries are evicted to stay under the byte budget.
+ */
+const cacheDir = process.env.CACHE_DIR || path.join(__dirname, '../../temp/cache');
+const indexPath = path.join(cacheDir, 'index.json');
+
+// Total size the cache may use (default 5 GB)
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES) || 5 * 1024 * 1024 * 1024;
+// Keep at least this much disk free, evicting below budget if needed (default 1 GB)
+const CACHE_MIN_FREE_BYTES = parseInt(process.env.CACHE_MIN_FREE_BYTES) || 1024 * 1024 * 1024;
+// Access times changed by cache hits are written at most this often
+const INDEX_SAVE_DELAY_MS = 5000;
+
+const entries = new Map(); // key -> entry
+const pins = new Map(); // key -> number of jobs currently reading the entry
+const stats = { lookups: {}, evictions: 0 }; // lookups: kind -> { hits, misses }
+let indexSaveTimer = null; // pending write of access times
+
+// Don't lose access times batched since the last write
+process.on('exit', () => {
+  if (indexSaveTimer) saveIndex();
+});
+
+loadIndex();
+
+/**
+ * Load the index from disk, dropping entries whose file disappeared
+ * and files that are not in the index
+ */
+function loadIndex() {
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  try {
+    if (fs.existsSync(indexPath)) {
+      const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      for (const entry of saved) {
+        if (fs.existsSync(path.join(cacheDir, entry.file))) {
+          entries.set(entry.key, entry);
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ [Cache] Failed to read index, starting empty:', error.message);
+  }
+
+  const indexedFiles = new Set([...entries.values()].map((entry) => entry.file));
+  for (const file of fs.readdirSync(cacheDir)) {
+    if (file === 'index.json' || indexedFiles.has(file)) continue;
+    fs.rmSync(path.join(cacheDir, file), { force: true, recursive: true });
+  }
+
+  console.log(`🗄️  [Cache] ${entries.size} entries loaded (${formatBytes(getTotalBytes())})`);
+}
+
+function saveIndex() {
+  clearTimeout(indexSaveTimer);
+  indexSaveTimer = null;
+
+  try {
+    const tmpPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...entries.values()]));
+    fs.renameSync(tmpPath, indexPath);
+  } catch (error) {
+    console.error('Error saving cache index:', error);
+  }
+}
+
+/**
+ * Write the index after INDEX_SAVE_DELAY_MS, batching cache hits
+ * Additions and removals call saveIndex() right away
+ */
+function scheduleIndexSave() {
+  if (indexSaveTimer) return;
+  indexSaveTimer = setTimeout(saveIndex, INDEX_SAVE_DELAY_MS);
+  indexSaveTimer.unref();
+}
+
+function getTotalBytes() {
+  let total = 0;
+  for (const entry of entries.values()) total += entry.size;
+  return total;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Cache key of a media variant
+ * @param {Object} params
+ * @param {string} params.sourceId - Canonical media ID (e.g. YouTube video ID)
+ * @param {string} params.kind - 'download' (raw yt-dlp output) | 'converted' (final output)
+ * @param {string} params.variant - Quality/format, e.g. 'audio_best' or 'mp3-320'
+ * @returns {string}
+ */
+export function getCacheKey({ sourceId, kind, variant }) {
+  return crypto
+    .createHash('sha1')
+    .update(`${sourceId}|${kind}|${variant}`)
+    .digest('hex');
+}
+
+function toResult(entry) {
+  return { ...entry, filePath: path.join(cacheDir, entry.file) };
+}
+
+/**
+ * Count a hit or a miss: per kind, so image lookups don't skew the media hit rate
+ * @param {string} kind
+ * @param {'hits'|'misses'} outcome
+ */
+function countLookup(kind, outcome) {
+  stats.lookups[kind] = stats.lookups[kind] || { hits: 0, misses: 0 };
+  stats.lookups[kind][outcome]++;
+}
+
+/**
+ * Look up a cached media variant
+ * A hit is pinned (protected from eviction) until releaseCacheEntry(key)
+ * @param {Object} params - { sourceId, kind, variant }
+ * @returns {Object|null} - Entry with absolute `filePath`, or null on miss
+ */
+export function getCacheEntry(params) {
+  const key = getCacheKey(params);
+  const entry = entries.get(key);
+
+  if (!entry || !fs.existsSync(path.join(cacheDir, entry.file))) {
+    if (entry) {
+      removeEntry(key);
+      saveIndex();
+    }
+    countLookup(params.kind, 'misses');
+    return null;
+  }
+
+  countLookup(params.kind, 'hits');
+  entry.lastAccess = Date.now();
+  entry.hits++;
+  pinCacheEntry(key);
+  scheduleIndexSave();
+
+  return toResult(entry);
+}
+
+/**
+ * Move a finished file into the cache
+ * The new entry is pinned until releaseCacheEntry(key). A pinned entry of the
+ * same variant is never replaced: the file is discarded and that entry returned.
+ * @param {string} filePath - File in temp/ (moved, not copied)
+ * @param {Object} params
+ * @param {string} params.sourceId
+ * @param {string} params.kind - 'download' | 'converted'
+ * @param {string} params.variant
+ * @param {string} params.codec - Codec/container of the file (e.g. 'mp3', 'webm')
+ * @param {string} params.filename - Name to deliver the file under
+ * @param {Object} [params.info] - Media metadata (title, author, thumbnail, duration)
+ * @returns {Object} - Entry with absolute `filePath`
+ */
+export function addToCache(filePath, { sourceId, kind, variant, codec, filename, info = null }) {
+  const key = getCacheKey({ sourceId, kind, variant });
+  const file = `${key}${path.extname(filePath)}`;
+
+  // Another job is reading the same variant: keep its file, drop ours
+  const existing = entries.get(key);
+  if (existing && pins.has(key)) {
+    fs.rmSync(filePath, { force: true });
+    existing.lastAccess = Date.now();
+    pinCacheEntry(key);
+    scheduleIndexSave();
+    console.log(`🗄️  [Cache] Kept pinned ${kind} ${variant} for ${sourceId}, new copy discarded`);
+    return toResult(existing);
+  }
+
+  // Replace a previous version of the same variant
+  if (existing) removeEntry(key);
+
+  fs.renameSync(filePath, path.join(cacheDir, file));
+
+  const now = Date.now();
+  const entry = {
+    key,
+    file,
+    sourceId,
+    kind,
+    variant,
+    codec,
+    filename,
+    info,
+    size: fs.statSync(path.join(cacheDir, file)).size,
+    createdAt: now,
+    lastAccess: now,
+    hits: 0
+  };
+
+  entries.set(key, entry);
+  pinCacheEntry(key);
+  console.log(`🗄️  [Cache] Stored ${kind} ${variant} for ${sourceId} (${formatBytes(entry.size)})`);
+
+  enforceCacheBudget();
+  saveIndex();
+
+  return toResult(entry);
+}
+
+/**
+ * Protect an entry from eviction until releaseCacheEntry(key)
+ * @param {string} key
+ */
+export function pinCacheEntry(key) {
+  pins.set(key, (pins.get(key) || 0) + 1);
+}
+
+/**
+ * Release a pin taken by getCacheEntry/addToCache
+ * @param {string} key
+ */
+export function releaseCacheEntry(key) {
+  const count = (pins.get(key) || 0) - 1;
+  if (count > 0) pins.set(key, count);
+  else pins.delete(key);
+}
+
+/**
+ * Drop an entry that must not be served again (e.g. a truncated download)
+ * The next lookup misses, so the media is downloaded or converted again.
+ * @param {string} key
+ */
+export function invalidateCacheEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  removeEntry(key);
+  saveIndex();
+  console.log(`🗑️  [Cache] Invalidated ${entry.kind} ${entry.variant} for ${entry.sourceId}`);
+}
+
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  entries.delete(key);
+  fs.rmSync(path.join(cacheDir, entry.file), { force: true });
+}
+
+function getFreeDiskBytes() {
+  try {
+    const { bavail, bsize } = fs.statfsSync(cacheDir);
+    return bavail * bsize;
+  } catch (error) {
+    return Infinity; // statfs unsupported: rely on the byte budget only
+  }
+}
+
+/**
+ * Evict least recently used entries (never pinned ones) until the cache
+ * fits its byte budget and the disk keeps CACHE_MIN_FREE_BYTES free
+ */
+export function enforceCacheBudget() {
+  let totalBytes = getTotalBytes();
+  let freeBytes = getFreeDiskBytes();
+
+  if (totalBytes <= CACHE_MAX_BYTES && freeBytes >= CACHE_MIN_FREE_BYTES) return;
+
+  const candidates = [...entries.values()]
+    .filter((entry) => !pins.has(entry.key))
+    .sort((a, b) => a.lastAccess - b.lastAccess);
+
+  for (const entry of candidates) {
+    if (totalBytes <= CACHE_MAX_BYTES && freeBytes >= CACHE_MIN_FREE_BYTES) break;
+
+    removeEntry(entry.key);
+    totalBytes -= entry.size;
+    freeBytes += entry.size;
+    stats.evictions++;
+    console.log(`🧹 [Cache] Evicted ${entry.kind} ${entry.variant} for ${entry.sourceId} (${formatBytes(entry.size)})`);
+  }
+
+  saveIndex();
+}
+
+/**
+ * Cache totals (for /health)
+ * @returns {Object}
+ */
+export function getCacheStats() {
+  const lookups = {};
+  for (const [kind, { hits, misses }] of Object.entries(stats.lookups)) {
+    const total = hits + misses;
+    lookups[kind] = { hits, misses, hitRate: total > 0 ? Number((hits / total).toFixed(3)) : 0 };
+  }
+
+  return {
+    entries: entries.size,
+    bytes: getTotalBytes(),
+    budgetBytes: CACHE_MAX_BYTES,
+    minFreeBytes: CACHE_MIN_FREE_BYTES,
+    lookups,
+    evictions: stats.evictions,
+    pinned: pins.size
+  };
+}
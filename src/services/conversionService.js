@@ -0,0 +1,767 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { incrementDownloadCounter } from '../middleware/quota.js';
+import {
+  downloadMedia,
+  downloadSubtitles,
+  getMediaId,
+  getVideoInfo,
+  streamAudioSource,
+  getDirectDownloadLink
+} from './mediaService.js';
+import {
+  analyzeLoudness,
+  convertToMP3,
+  convertAudio,
+  encodeAudioStream,
+  convertToMP4HD,
+  convertToMP4SD,
+  convertToAnimation,
+  burnSubtitles,
+  cutClip,
+  writeTags,
+  probeMedia,
+  formatFileSize,
+  formatDuration
+} from './ffmpegService.js';
+import {
+  uploadToStorage,
+  generateSignedUrl,
+  deleteLocalFile
+} from './storageService.js';
+import {
+  updateJobStatus,
+  updateJobQueuePosition,
+  updateJobProgress,
+  completeJob,
+  failJob
+} from './jobService.js';
+import { runInPool } from './workerPool.js';
+import { buildTags, downloadCover } from './tagService.js';
+import {
+  getCacheEntry,
+  addToCache,
+  releaseCacheEntry,
+  invalidateCacheEntry
+} from './cacheService.js';
+import { throwIfCancelled } from '../utils/abort.js';
+import { checkClipDuration, getClipLabel } from '../utils/clip.js';
+import { ANIMATION_DEFAULTS, checkAnimationDuration } from '../utils/animation.js';
+import { getFormatPreset } from '../utils/formats.js';
+import { getPlatform } from '../platforms/index.js';
+import {
+  parseVtt,
+  shiftCues,
+  toSrt,
+  toVtt,
+  toTranscript
+} from '../utils/subtitles.js';
+
+// MP4 re-encoders by resolution cap (formats with an H.264/AAC MP4 preset)
+const MP4_TRANSCODERS = {
+  1080: convertToMP4HD,
+  720: convertToMP4SD
+};
+
+// Outputs shorter than expected by more than this are truncated (seconds, or share of the duration)
+const TRUNCATION_TOLERANCE_SECONDS = 2;
+const TRUNCATION_TOLERANCE_RATIO = 0.03;
+
+/**
+ * What to download for a format (not for subtitle formats)
+ * @param {string} format
+ * @returns {{ downloadFormat: string, qualityTarget: string, container: string }} - See mediaService.downloadMedia
+ */
+function getDownloadTarget(format) {
+  const { download } = getFormatPreset(format);
+
+  return {
+    downloadFormat: download.type,
+    qualityTarget: download.quality,
+    container: download.container
+  };
+}
+
+/**
+ * Convert an audio media straight into a writable stream (GET /api/convert/stream)
+ * yt-dlp pipes into ffmpeg, which writes into `output`: download and encoding
+ * overlap and nothing touches the disk (no cache, no upload, nothing to clean up).
+ * `output` is ended only when both succeeded: on failure the caller must destroy it,
+ * so a truncated stream never looks like a complete file.
+ * @param {string} url - Media URL
+ * @param {string} format - A streamable format (see utils/formats)
+ * @param {import('stream').Writable} output - e.g. the HTTP response
+ * @param {Object} options
+ * @param {Object} options.info - getVideoInfo result (written as tags)
+ * @param {string} [options.match] - YouTube video picked for a Spotify track (see mediaService.getVideoInfo)
+ * @param {AbortSignal} [options.signal] - Kills yt-dlp/ffmpeg when aborted
+ * @param {Object} [options.poolOptions] - Worker pool options ({ priority, onQueuePosition, signal })
+ * @returns {Promise<void>}
+ */
+export async function streamConversion(url, format, output, { info, match = null, signal, poolOptions = {} }) {
+  const preset = getFormatPreset(format);
+
+  // One transcode slot for the whole run: yt-dlp only downloads as fast as ffmpeg reads
+  await runInPool('transcode', async () => {
+    // Stop yt-dlp when ffmpeg fails, and the other way round
+    const controller = new AbortController();
+    const runSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+
+    const source = await streamAudioSource(url, { signal: runSignal, match });
+    try {
+      await Promise.all([
+        source.done,
+        encodeAudioStream(source.stream, output, { codec: preset.audioCodec, bitrate: preset.bitrate }, {
+          tags: buildTags(info, url),
+          signal: runSignal
+        })
+      ]);
+    } catch (error) {
+      controller.abort();
+      throw error;
+    }
+  }, poolOptions);
+
+  output.end();
+}
+
+/**
+ * Download the whole media a format is made from into the cache, without converting it
+ * Used before cutting several clips out of one media (they then all reuse this download).
+ * The download is pinned: release the returned key (releaseCacheEntry) when done.
+ * @param {string} url
+ * @param {string} format
+ * @param {Object} [options] - { match, onProgress, signal, poolOptions }
+ * @returns {Promise<string>} - Cache key of the download
+ */
+export async function prefetchMedia(url, format, { match = null, onProgress, signal, poolOptions = {} } = {}) {
+  const { downloadFormat, qualityTarget, container } = getDownloadTarget(format);
+
+  const downloaded = await runInPool('download', () => downloadMedia(url, downloadFormat, qualityTarget, {
+    onProgress,
+    signal,
+    container,
+    match
+  }), poolOptions);
+
+  return downloaded.cacheKey;
+}
+
+/**
+ * Run the full conversion pipeline for a job
+ * Never throws: the outcome is recorded on the job (done/failed)
+ * @param {Object} job - Job created by jobService.createJob
+ * @param {Object} options
+ * @param {string} options.proxyBaseUrl - Base URL of this API (for /api/proxy links)
+ * @returns {Promise<void>}
+ */
+export async function processConversion(job, { proxyBaseUrl }) {
+  const { url, format } = job;
+
+  const cacheKeys = []; // Cache entries pinned by this job
+
+  // Forward download/ffmpeg progress to the job (streamed over SSE)
+  const onProgress = (progress) => updateJobProgress(job.id, progress);
+
+  // Aborted by cancelJob: kills yt-dlp/ffmpeg and skips the remaining steps
+  const { signal } = job.abortController;
+
+  // yt-dlp and ffmpeg run in bounded pools, paying plans first
+  const poolOptions = {
+    priority: job.priority,
+    onQueuePosition: (position) => updateJobQueuePosition(job.id, position),
+    signal
+  };
+
+  try {
+    console.log(`\n🎬 Starting conversion [job ${job.id}]:`);
+    console.log(`   URL: ${url}`);
+    console.log(`   Format: ${format}`);
+    console.log(`   User: ${job.userId || 'anonymous'}\n`);
+
+    // === FREE PLATFORMS (Instagram, Facebook: `directLink` in platforms/) ===
+    // We use Direct Download ONLY for Standard Quality (mp4-sd) or Low Audio (128kbps)
+    // TikTok is excluded due to CDN blocking - it always uses yt-dlp pipeline
+    // If user wants HD/4K, we use the Premium Pipeline (yt-dlp) to find better streams
+    const isFreePlatform = !!getPlatform(url)?.directLink;
+
+    // Free tier for social media: Only Standard Video (720p) and Low Audio (128kbps)
+    // Premium tier: High Video (1080p+) and High Audio (320kbps, 192kbps)
+    // Clips need the file to cut it: always through the pipeline
+    const useDirectDownload = isFreePlatform && (format === 'mp4-sd' || format === 'mp3-128') && !job.clip;
+
+    if (useDirectDownload) {
+      console.log('⚡ FREE PLATFORM - Providing proxied download link');
+
+      // Determine if user wants audio or video
+      const directFormat = getFormatPreset(format).download.type;
+      const directLink = await runInPool('download', () => {
+        updateJobStatus(job.id, 'downloading');
+        return getDirectDownloadLink(url, directFormat);
+      }, poolOptions);
+
+      // Set appropriate filename extension
+      const filename = `${directLink.title}.${getFormatPreset(format).container}`;
+
+      // Construct PROXY URL
+      // We send the CDN url and filename to our proxy endpoint
+      // This forces the "Content-Disposition: attachment" header
+      const proxyUrl = `${proxyBaseUrl}/api/proxy?url=${encodeURIComponent(directLink.downloadUrl)}&filename=${encodeURIComponent(filename)}`;
+
+      completeJob(job.id, {
+        downloadUrl: proxyUrl, // Return the proxy URL instead of direct link
+        filename: filename,
+        fileSize: directLink.fileSize,
+        duration: directLink.duration,
+        platform: 'free'
+      });
+      return;
+    }
+
+    // === PAID PLATFORMS (YouTube, Spotify, SoundCloud) - Full Processing ===
+    console.log('💎 PREMIUM PLATFORM - Processing with conversion pipeline');
+
+    // Steps 1-3: download + convert into the media cache
+    const media = await produceMedia(url, format, {
+      clip: job.clip,
+      animation: job.animation,
+      tags: job.tags,
+      normalize: job.normalize,
+      subtitles: job.subtitles,
+      match: job.match,
+      outputPrefix: job.id,
+      onStage: (status) => updateJobStatus(job.id, status),
+      onProgress,
+      signal,
+      poolOptions
+    });
+    cacheKeys.push(...media.cacheKeys);
+
+    const { videoInfo, filename, filePath: finalFilePath } = media;
+
+    // Get file size
+    const fileStats = fs.statSync(finalFilePath);
+    const fileSize = formatFileSize(fileStats.size);
+
+    // Step 4: Upload to Supabase Storage
+    // Last point where a cancel applies: past it, the download counter is charged
+    throwIfCancelled(signal);
+    console.log('☁️  Step 4: Uploading to storage...');
+    updateJobStatus(job.id, 'storing');
+    // Cached files stay in the cache for other jobs (copied, never moved)
+    const storageFilePath = await uploadToStorage(finalFilePath, 'conversions', `${Date.now()}_${filename}`, {
+      copy: true
+    });
+    console.log(`   Uploaded to: ${storageFilePath}\n`);
+
+    // Step 5: Generate signed URL
+    console.log('🔗 Step 5: Generating download URL...');
+    const signedUrl = await generateSignedUrl(storageFilePath, 'conversions', 86400, filename);
+    console.log(`   URL generated (valid for 24h)\n`);
+
+    // Step 6: Increment download counter (if authenticated)
+    if (job.userId) {
+      await incrementDownloadCounter(job.userId);
+      console.log(`✅ Download counter incremented for user ${job.userId}\n`);
+    }
+
+    console.log('🎉 Conversion completed successfully!\n');
+
+    completeJob(job.id, {
+      downloadUrl: signedUrl,
+      filename,
+      fileSize,
+      duration: media.duration ? formatDuration(media.duration) : videoInfo.duration,
+      ...(media.loudness && { loudness: media.loudness }),
+      videoInfo: {
+        title: videoInfo.title,
+        author: videoInfo.author,
+        thumbnail: videoInfo.thumbnail,
+        ...(videoInfo.match && { match: videoInfo.match })
+      },
+      message: 'Conversion completed successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      console.log(`🛑 Conversion cancelled [job ${job.id}]`);
+    } else {
+      console.error(`❌ Conversion error [job ${job.id}]:`, error);
+    }
+
+    // No-op for cancelled jobs (already in their final state)
+    failJob(job.id, error);
+  } finally {
+    // Let the cache evict what this job used
+    cacheKeys.forEach(releaseCacheEntry);
+  }
+}
+
+/**
+ * Deliver the subtitles of a media as SRT, WebVTT or a plain-text transcript
+ * (produceMedia for subtitle formats: the media itself is never downloaded)
+ * @param {string} url
+ * @param {string} format - 'srt' | 'vtt' | 'txt'
+ * @param {Object} options - { lang, clip, mediaId, variant, outputPrefix, onStage, signal, download, cacheKeys }
+ *   download runs a task in the download pool; cacheKeys collects the pinned entries
+ * @returns {Promise<Object>} - Same as produceMedia
+ */
+async function produceSubtitleFile(url, format, { lang, clip, mediaId, variant, outputPrefix, onStage, signal, download, cacheKeys }) {
+  let clipRange = null;
+  let subtitleFile = null;
+
+  const videoInfo = await download(async () => {
+    onStage('downloading');
+
+    console.log('📝 Step 1: Fetching video info...');
+    const info = await getVideoInfo(url);
+    throwIfCancelled(signal);
+    if (clip) clipRange = checkClipDuration(clip, info.durationSeconds);
+
+    console.log(`💬 Step 2: Downloading ${lang} subtitles...`);
+    subtitleFile = await downloadSubtitles(url, lang, { signal });
+    cacheKeys.push(subtitleFile.cacheKey);
+    return info;
+  });
+
+  throwIfCancelled(signal);
+  console.log(`🔄 Step 3: Converting subtitles to ${format.toUpperCase()}...`);
+  onStage('converting');
+
+  const outputDuration = clipRange
+    ? (clipRange.end === null ? null : clipRange.end - clipRange.start)
+    : videoInfo.durationSeconds;
+
+  let cues = parseVtt(fs.readFileSync(subtitleFile.filePath, 'utf8'));
+  if (clipRange) cues = shiftCues(cues, clipRange.start, outputDuration);
+
+  const safeTitle = videoInfo.title
+    .replace(/[^a-zA-Z0-9\s-]/g, '')
+    .replace(/\s+/g, '_')
+    .substring(0, 50);
+  const clipSuffix = clipRange ? `_${getClipLabel(clipRange)}` : '';
+  const filename = format === 'txt'
+    ? `${safeTitle}_${lang}${clipSuffix}_transcript.txt`
+    : `${safeTitle}_${lang}${clipSuffix}.${format}`;
+
+  const content = format === 'srt' ? toSrt(cues) : format === 'vtt' ? toVtt(cues) : toTranscript(cues);
+  const outputPath = path.join(path.dirname(subtitleFile.filePath), `${outputPrefix}_${filename}`);
+  fs.writeFileSync(outputPath, content);
+  console.log(`   ${cues.length} captions written: ${filename}\n`);
+
+  const cachedEntry = addToCache(outputPath, {
+    sourceId: mediaId,
+    kind: 'converted',
+    variant,
+    codec: format,
+    filename,
+    info: {
+      title: videoInfo.title,
+      author: videoInfo.author,
+      thumbnail: videoInfo.thumbnail,
+      duration: videoInfo.duration,
+      outputDuration
+    }
+  });
+  cacheKeys.push(cachedEntry.key);
+
+  return {
+    filePath: cachedEntry.filePath,
+    filename,
+    videoInfo,
+    duration: outputDuration,
+    loudness: null,
+    cacheKeys
+  };
+}
+
+/**
+ * Loudness values reported to the client
+ * @param {Object|null} loudness - From ffmpegService.analyzeLoudness
+ * @returns {Object|null} - { preset, target: { integrated, truePeak, range }, measured: { integrated, truePeak, range, threshold } }
+ *   integrated/threshold in LUFS, truePeak in dBTP, range in LU; measured = source before normalization
+ */
+function toLoudnessReport(loudness) {
+  if (!loudness) return null;
+
+  const { preset, target, measured } = loudness;
+  return {
+    preset,
+    target: { integrated: target.i, truePeak: target.tp, range: target.lra },
+    measured: { integrated: measured.i, truePeak: measured.tp, range: measured.lra, threshold: measured.thresh }
+  };
+}
+
+/**
+ * Error for an output that must not be delivered (unreadable, missing streams, truncated)
+ * @param {string} reason
+ * @returns {Error}
+ */
+function createCorruptMediaError(reason) {
+  const error = new Error(`Conversion produced an invalid file: ${reason}`);
+  error.code = 'CORRUPT_MEDIA';
+  return error;
+}
+
+/**
+ * Check a file with ffprobe before delivering it
+ * @param {string} filePath
+ * @param {Object} expected
+ * @param {string} expected.stream - 'audio' | 'video': stream the file must hold
+ * @param {number|null} expected.duration - Seconds the file should last, null to skip the check
+ * @returns {Promise<Object>} - From ffmpegService.probeMedia
+ * @throws {Error} - CORRUPT_MEDIA
+ */
+async function verifyMedia(filePath, { stream, duration }) {
+  let media;
+  try {
+    media = await probeMedia(filePath);
+  } catch (error) {
+    throw createCorruptMediaError(`unreadable (${error.message})`);
+  }
+
+  if (!media[stream]) {
+    throw createCorruptMediaError(`no ${stream} stream`);
+  }
+
+  const tolerance = Math.max(TRUNCATION_TOLERANCE_SECONDS, duration * TRUNCATION_TOLERANCE_RATIO);
+  if (duration && !(media.duration >= duration - tolerance)) {
+    throw createCorruptMediaError(`${media.duration === null ? 'unknown' : `${media.duration.toFixed(1)}s`} long, ${duration}s expected`);
+  }
+
+  return media;
+}
+
+/**
+ * Whether a probed download can be delivered as a compatible MP4
+ * @param {string} filePath
+ * @param {Object} media - From ffmpegService.probeMedia
+ * @param {number} maxHeight
+ * @returns {boolean}
+ */
+function isCompatibleMp4(filePath, media, maxHeight) {
+  return path.extname(filePath) === '.mp4'
+    && media.video.codec === 'h264'
+    && (!media.audio || media.audio.codec === 'aac')
+    && media.video.height <= maxHeight;
+}
+
+/**
+ * Write tags and cover art into a stream copy of a download delivered as is
+ * Tagging is best effort: on failure the untagged download is delivered.
+ * @param {string} inputPath - Download (shared through the cache, never modified)
+ * @param {string} outputFilename
+ * @param {Object} tags - From tagService.buildTags
+ * @param {Object} options - { coverPath, transcode, signal }
+ * @returns {Promise<string|null>} - Path of the tagged copy, null if tagging failed
+ */
+async function tagDownload(inputPath, outputFilename, tags, { coverPath, transcode, signal }) {
+  try {
+    return await transcode(() => writeTags(inputPath, outputFilename, tags, { coverPath, signal }));
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') throw error;
+    console.warn('⚠️ Tagging failed, delivering the download untagged:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Download and convert one media into the media cache (pipeline steps 1-3)
+ * Conversions already in the cache are reused as is.
+ * The returned files are pinned: release `cacheKeys` (releaseCacheEntry) when done.
+ * @param {string} url - Media URL
+ * @param {string} format - Requested format (mp3-320, flac, mp4-hd...)
+ * @param {Object} options
+ * @param {Object} [options.clip] - { start, end } in seconds (see utils/clip.parseClip): only keep that part
+ * @param {Object} [options.animation] - { fps, width } for GIF/WebP (see utils/animation.parseAnimationOptions)
+ * @param {Object} [options.tags] - Tags overriding the source metadata (see utils/tags.parseTags)
+ * @param {string} [options.normalize] - Loudness preset for audio outputs (key of ffmpegService.LOUDNESS_PRESETS)
+ * @param {string} [options.subtitles] - Subtitle language: delivered by subtitle formats, burned into MP4 outputs
+ * @param {string} [options.match] - YouTube video picked for a Spotify track instead of the best match
+ * @param {Object} [options.info] - Media info already fetched with getVideoInfo (skips step 1)
+ * @param {string} options.outputPrefix - Prefix of the ffmpeg output (unique per caller)
+ * @param {Function} [options.onStage] - Called with 'downloading' | 'converting'
+ * @param {Function} [options.onProgress] - Called with { percent, speed, eta }
+ * @param {AbortSignal} [options.signal] - Kills yt-dlp/ffmpeg when aborted
+ * @param {Object} [options.poolOptions] - Worker pool options ({ priority, onQueuePosition, signal })
+ * @returns {Promise<{ filePath: string, filename: string, videoInfo: Object, duration: number|null, loudness: Object|null, cacheKeys: Array<string> }>}
+ *   duration: seconds of the delivered file (clip length for clips), null if unknown
+ *   loudness: { preset, target, measured } when normalized (see toLoudnessReport)
+ */
+export async function produceMedia(url, format, { clip = null, animation = null, tags = null, normalize = null, subtitles = null, match = null, info: knownInfo = null, outputPrefix, onStage = () => {}, onProgress, signal, poolOptions = {} }) {
+  const download = (task) => runInPool('download', task, poolOptions);
+  const transcode = (task) => runInPool('transcode', task, poolOptions);
+
+  const preset = getFormatPreset(format);
+  if (preset.kind === 'animation') animation = animation || ANIMATION_DEFAULTS;
+
+  // Every output goes through ffmpeg at least to be tagged, so every output is cached
+  let convertedVariant = format;
+  if (animation) convertedVariant += `_${animation.fps}fps_${animation.width}w`;
+  if (clip) convertedVariant += `_clip${getClipLabel(clip)}`;
+  if (normalize) convertedVariant += `_loudnorm-${normalize}`;
+  if (subtitles) convertedVariant += `_subs-${subtitles}`;
+  if (tags) {
+    const tagsHash = crypto.createHash('sha1').update(JSON.stringify(tags)).digest('hex').slice(0, 8);
+    convertedVariant += `_tags${tagsHash}`;
+  }
+
+  const cacheKeys = [];
+  let downloadCacheKey = null;
+  let downloadedFilePath = null;
+  let downloadedTitle = null;
+  let convertedFilePath = null;
+  let coverPath = null;
+
+  try {
+    // === CONVERSION CACHE: same media already converted to this format? ===
+    const mediaId = await getMediaId(url, { match });
+    const cachedConversion = getCacheEntry({ sourceId: mediaId, kind: 'converted', variant: convertedVariant });
+
+    if (cachedConversion) {
+      console.log(`🚀 [CACHE HIT] Reusing converted ${convertedVariant}: ${cachedConversion.filename}\n`);
+      cacheKeys.push(cachedConversion.key);
+      return {
+        filePath: cachedConversion.filePath,
+        filename: cachedConversion.filename,
+        videoInfo: cachedConversion.info,
+        duration: cachedConversion.info.outputDuration ?? null,
+        loudness: cachedConversion.info.loudness ?? null,
+        cacheKeys
+      };
+    }
+
+    // Subtitle formats only need the subtitles
+    if (preset.kind === 'subtitles') {
+      return await produceSubtitleFile(url, format, {
+        lang: subtitles,
+        clip,
+        mediaId,
+        variant: convertedVariant,
+        outputPrefix,
+        onStage,
+        signal,
+        download,
+        cacheKeys
+      });
+    }
+
+    const { downloadFormat, qualityTarget, container } = getDownloadTarget(format);
+    let clipRange = null; // Clip checked against the media duration
+    let downloadOffset = 0; // Position of the downloaded file's 0:00 in the media
+    let subtitlePath = null; // WebVTT to burn in
+
+    // Steps 1 & 2 share one download slot (both run yt-dlp)
+    const videoInfo = await download(async () => {
+      onStage('downloading');
+
+      // Step 1: Get video info
+      console.log('📝 Step 1: Fetching video info...');
+      const info = knownInfo || await getVideoInfo(url, { match });
+      throwIfCancelled(signal);
+      console.log(`   Title: ${info.title}`);
+      console.log(`   Author: ${info.author}`);
+      console.log(`   Duration: ${info.duration}\n`);
+
+      if (clip) {
+        clipRange = checkClipDuration(clip, info.durationSeconds);
+        console.log(`   Clip: ${getClipLabel(clipRange)}s\n`);
+      }
+
+      // Animations only make sense for short parts: fail before downloading
+      if (animation) {
+        checkAnimationDuration(clipRange ? clipRange.end - clipRange.start : info.durationSeconds);
+      }
+
+      // Subtitles to burn in: fetched first, a missing language fails before the big download
+      if (subtitles) {
+        const subtitleFile = await downloadSubtitles(url, subtitles, { signal });
+        cacheKeys.push(subtitleFile.cacheKey);
+        subtitlePath = subtitleFile.filePath;
+      }
+
+      // Step 2: Download video (only the clip's section when cutting)
+      console.log('⬇️  Step 2: Downloading media...');
+      const downloaded = await downloadMedia(url, downloadFormat, qualityTarget, {
+        onProgress,
+        signal,
+        section: clipRange,
+        container,
+        match
+      });
+      cacheKeys.push(downloaded.cacheKey);
+      downloadCacheKey = downloaded.cacheKey;
+      downloadedFilePath = downloaded.filePath;
+      downloadedTitle = downloaded.title;
+      downloadOffset = downloaded.offset;
+      console.log(`   Downloaded to: ${downloaded.filePath} [Quality: ${qualityTarget}]\n`);
+
+      return info;
+    });
+
+    // Clip position inside the downloaded file (sections start before the clip)
+    const fileClip = clipRange && {
+      start: clipRange.start - downloadOffset,
+      duration: clipRange.end === null ? null : clipRange.end - clipRange.start
+    };
+    const outputDuration = fileClip ? fileClip.duration : videoInfo.durationSeconds;
+
+    // Step 3: Convert to desired format
+    throwIfCancelled(signal);
+    console.log('🔄 Step 3: Converting format...');
+    onStage('converting');
+
+    // Converted files are written per caller: the download may be shared with other jobs
+    const safeTitle = videoInfo.title
+      .replace(/[^a-zA-Z0-9\s-]/g, '')
+      .replace(/\s+/g, '_')
+      .substring(0, 50);
+
+    const clipSuffix = clipRange ? `_${getClipLabel(clipRange)}` : '';
+
+    // Loudness normalization: measure the media (pass 1), the encoder then applies it (pass 2)
+    let loudness = null;
+    if (normalize) {
+      console.log(`🔊 Measuring loudness (${normalize} preset)...`);
+      loudness = await transcode(() => analyzeLoudness(downloadedFilePath, normalize, { signal, clip: fileClip }));
+    }
+
+    // Tags and cover art are written by the ffmpeg pass producing the output (GIF/WebP have none)
+    const outputTags = animation ? null : buildTags(videoInfo, url, tags);
+    if (outputTags && videoInfo.metadata && videoInfo.metadata.coverUrl) {
+      coverPath = await downloadCover(videoInfo.metadata.coverUrl, path.join(path.dirname(downloadedFilePath), `${outputPrefix}_cover`), { signal });
+    }
+
+    let filename;
+    let downloadedMedia = null; // ffprobe result of the download, when inspected
+
+    if (preset.audioCodec === 'mp3') {
+      const outputFilename = `${safeTitle}_${preset.bitrate}kbps${clipSuffix}.mp3`;
+      convertedFilePath = await transcode(() => convertToMP3(downloadedFilePath, `${outputPrefix}_${outputFilename}`, preset.bitrate, { onProgress, signal, clip: fileClip, loudness, tags: outputTags, coverPath }));
+      filename = outputFilename;
+      console.log(`   Converted to ${preset.label}: ${outputFilename}\n`);
+    } else if (preset.kind === 'audio') {
+      // === FLAC / WAV / M4A / OPUS / OGG (stream copied when the codec already matches) ===
+      const qualitySuffix = preset.bitrate ? `_${preset.bitrate}kbps` : '';
+      const outputFilename = `${safeTitle}${qualitySuffix}${clipSuffix}.${preset.container}`;
+      convertedFilePath = await transcode(() => convertAudio(downloadedFilePath, `${outputPrefix}_${outputFilename}`, { codec: preset.audioCodec, bitrate: preset.bitrate }, { onProgress, signal, clip: fileClip, loudness, tags: outputTags, coverPath }));
+      filename = outputFilename;
+      console.log(`   Converted to ${preset.label}: ${outputFilename}\n`);
+    } else if (animation) {
+      // === GIF / WEBP: animated, no audio ===
+      const outputFilename = `${safeTitle}_${animation.fps}fps_${animation.width}w${clipSuffix}.${format}`;
+      convertedFilePath = await transcode(() => convertToAnimation(downloadedFilePath, `${outputPrefix}_${outputFilename}`, { type: format, ...animation }, { onProgress, signal, clip: fileClip }));
+      filename = outputFilename;
+      console.log(`   Converted to ${format.toUpperCase()} (${animation.fps}fps, ${animation.width}px): ${outputFilename}\n`);
+    } else if (subtitlePath) {
+      // === BURN-IN: subtitles drawn onto the video (re-encoded) ===
+      const outputFilename = `${downloadedTitle}_${subtitles}${clipSuffix}.mp4`;
+      // Subtitles are timed against the whole media: move them to the output's 0:00
+      const cues = shiftCues(parseVtt(fs.readFileSync(subtitlePath, 'utf8')), downloadOffset + (fileClip ? fileClip.start : 0));
+      const burnSrtPath = path.join(path.dirname(downloadedFilePath), `${outputPrefix}_burn.srt`);
+      fs.writeFileSync(burnSrtPath, toSrt(cues));
+      try {
+        convertedFilePath = await transcode(() => burnSubtitles(downloadedFilePath, `${outputPrefix}_${outputFilename}`, burnSrtPath, { onProgress, signal, clip: fileClip, tags: outputTags, coverPath }));
+      } finally {
+        deleteLocalFile(burnSrtPath);
+      }
+      filename = outputFilename;
+      console.log(`   Burned ${subtitles} subtitles: ${outputFilename}\n`);
+    } else if (fileClip) {
+      // === CLIP: exact cut of the downloaded video ===
+      const outputFilename = `${downloadedTitle}${clipSuffix}.${container}`;
+      convertedFilePath = await transcode(() => cutClip(downloadedFilePath, `${outputPrefix}_${outputFilename}`, fileClip, { onProgress, signal, container, tags: outputTags, coverPath }));
+      filename = outputFilename;
+      console.log(`   Cut clip ${getClipLabel(clipRange)}s: ${outputFilename}\n`);
+    } else if (format === 'mp4-4k') {
+      // === PRO MODE: NO CONVERSION ===
+      console.log('⚡ FAST PATH: Using Max resolution download (4K/2K/8K)');
+    } else if (preset.container === 'mp4' && preset.videoCodec === 'h264') {
+      // === MP4 HD / SD: SKIP FFmpeg RE-ENCODING when the download is already H.264/AAC ===
+      // (the yt-dlp fallback `bestvideo+bestaudio/best` can return VP9/Opus)
+      downloadedMedia = await verifyMedia(downloadedFilePath, { stream: 'video', duration: videoInfo.durationSeconds });
+      const { video, audio } = downloadedMedia;
+
+      if (isCompatibleMp4(downloadedFilePath, downloadedMedia, preset.maxHeight)) {
+        console.log(`⚡ FAST PATH: Using H.264 compatible download (${video.height}p)`);
+      } else {
+        console.log(`🔁 Download is ${video.codec}/${audio ? audio.codec : 'no audio'} ${video.height}p: re-encoding to H.264/AAC`);
+        const outputFilename = `${downloadedTitle}.mp4`;
+        convertedFilePath = await transcode(() => MP4_TRANSCODERS[preset.maxHeight](downloadedFilePath, `${outputPrefix}_${outputFilename}`, { onProgress, signal, tags: outputTags, coverPath }));
+        filename = outputFilename;
+        console.log(`   Converted to ${preset.label}: ${outputFilename}\n`);
+      }
+    } else {
+      // === OTHER CONTAINERS: yt-dlp already merged the original streams into it ===
+      console.log(`⚡ FAST PATH: Using ${format.toUpperCase()} download (no re-encoding)`);
+    }
+
+    // Step 3a: Never deliver a truncated or unreadable file
+    if (convertedFilePath || !downloadedMedia) {
+      throwIfCancelled(signal);
+      console.log('🔍 Step 3a: Verifying output...');
+      await verifyMedia(convertedFilePath || downloadedFilePath, {
+        stream: preset.kind === 'audio' ? 'audio' : 'video',
+        // Animations: ffprobe does not know the length of every GIF/WebP
+        duration: animation ? null : outputDuration ?? (clipRange && videoInfo.durationSeconds ? videoInfo.durationSeconds - clipRange.start : null)
+      });
+    }
+
+    // Step 3b: Fast paths tag a copy, the download itself is shared through the cache
+    if (!convertedFilePath) {
+      throwIfCancelled(signal);
+      console.log('🏷️  Step 3b: Writing tags...');
+      filename = `${downloadedTitle}${path.extname(downloadedFilePath)}`;
+      convertedFilePath = await tagDownload(downloadedFilePath, `${outputPrefix}_${filename}`, outputTags, { coverPath, transcode, signal });
+    }
+
+    if (!convertedFilePath) {
+      // Tagging failed: deliver the download itself
+      return {
+        filePath: downloadedFilePath,
+        filename: `${downloadedTitle}${path.extname(downloadedFilePath)}`,
+        videoInfo,
+        duration: outputDuration,
+        loudness: null,
+        cacheKeys
+      };
+    }
+
+    // Keep the conversion: the next request for this media + format skips steps 1-3
+    const cachedEntry = addToCache(convertedFilePath, {
+      sourceId: mediaId,
+      kind: 'converted',
+      variant: convertedVariant,
+      codec: path.extname(filename).slice(1),
+      filename,
+      info: {
+        title: videoInfo.title,
+        author: videoInfo.author,
+        thumbnail: videoInfo.thumbnail,
+        duration: videoInfo.duration,
+        outputDuration,
+        loudness: toLoudnessReport(loudness)
+      }
+    });
+    cacheKeys.push(cachedEntry.key);
+
+    return {
+      filePath: cachedEntry.filePath,
+      filename,
+      videoInfo,
+      duration: outputDuration,
+      loudness: toLoudnessReport(loudness),
+      cacheKeys
+    };
+  } catch (error) {
+    // Cleanup on error (downloads belong to the cache, only drop our own output)
+    if (convertedFilePath && fs.existsSync(convertedFilePath)) deleteLocalFile(convertedFilePath);
+    // A bad output usually comes from a truncated download: fetch it again next time
+    if (error.code === 'CORRUPT_MEDIA' && downloadCacheKey) invalidateCacheEntry(downloadCacheKey);
+    cacheKeys.forEach(releaseCacheEntry);
+    throw error;
+  } finally {
+    if (coverPath) deleteLocalFile(coverPath);
+  }
+}
@@ -1,5 +1,7 @@
 import cron from 'node-cron';
 import { deleteOldDownloads } from './storageService.js';
+import { deleteOldJobs } from './jobService.js';
+import { enforceCacheBudget } from './cacheService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -8,7 +10,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Delete old files from temp/ directory (Smart Cache cleanup)
+ * Delete old working files from temp/ (partial downloads, orphaned outputs)
+ * Finished media lives in temp/cache, which is managed by cacheService
  * @param {number} maxAgeMinutes - Max age in minutes
  */
 async function deleteOldTempFiles(maxAgeMinutes = 30) {
@@ -26,6 +29,8 @@ async function deleteOldTempFiles(maxAgeMinutes = 30) {
     for (const file of files) {
       const filePath = path.join(tempPath, file);
       const stats = fs.statSync(filePath);
+      if (stats.isDirectory()) continue; // temp/cache
+
       const ageMinutes = (now - stats.mtimeMs) / (1000 * 60);
 
       if (ageMinutes > maxAgeMinutes) {
@@ -36,7 +41,7 @@ async function deleteOldTempFiles(maxAgeMinutes = 30) {
     }
 
     if (deletedCount > 0) {
-      console.log(`✅ Temp Cleanup: Deleted ${deletedCount} cache files`);
+      console.log(`✅ Temp Cleanup: Deleted ${deletedCount} temp files`);
     }
   } catch (error) {
     console.error('Error in deleteOldTempFiles:', error);
@@ -46,7 +51,9 @@ async function deleteOldTempFiles(maxAgeMinutes = 30) {
 /**
  * Start cleanup jobs
  * - Every 10 minutes: Clean public/downloads (60 min retention)
- * - Every 10 minutes: Clean temp/ (30 min retention)
+ * - Every 10 minutes: Clean temp/ working files (30 min retention)
+ * - Every 10 minutes: Evict least recently used cache entries over budget
+ * - Every 10 minutes: Forget finished jobs (60 min retention, same as their downloads)
  */
 export const startCleanupJob = () => {
   // Run cleanup every 10 minutes
@@ -56,8 +63,14 @@ export const startCleanupJob = () => {
       // Clean final downloads (60 min retention)
       await deleteOldDownloads(60);
       
-      // Clean temp cache (30 min retention for smart caching)
+      // Clean leftover working files (30 min retention)
       await deleteOldTempFiles(30);
+
+      // Keep the media cache within its size budget
+      enforceCacheBudget();
+
+      // Forget finished jobs (their download links expire with public/downloads)
+      deleteOldJobs(60);
       
     } catch (error) {
       console.error('❌ [Cron] Unexpected error during cleanup:', error);
@@ -1,116 +1,801 @@
 import ffmpeg from 'fluent-ffmpeg';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { deleteLocalFile } from './storageService.js';
+import { createCancelledError } from '../utils/abort.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Convert video/audio to MP3 320kbps
+ * Build an ffmpeg 'progress' handler that logs and forwards progress
+ * ETA is extrapolated from the elapsed time and the percentage done
+ * @param {Function} [onProgress] - Called with { percent, speed, eta }
+ * @returns {Function}
  */
-export function convertToMP3(inputPath, outputFilename) {
+function progressHandler(onProgress) {
+  const startedAt = Date.now();
+
+  return (progress) => {
+    if (!progress.percent) return;
+
+    console.log(`Processing: ${Math.floor(progress.percent)}% done`);
+
+    if (onProgress) {
+      const elapsedSeconds = (Date.now() - startedAt) / 1000;
+      const percent = Math.min(progress.percent, 100);
+      onProgress({
+        percent,
+        speed: null, // ffmpeg reports bitrate, not transfer speed
+        eta: percent > 0 ? Math.round((elapsedSeconds * (100 - percent)) / percent) : null
+      });
+    }
+  };
+}
+
+/**
+ * Write tags as output metadata (`year` goes to the standard `date` tag)
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {Object} tags - { title, artist, album, year, ... }
+ */
+function addMetadata(command, tags) {
+  const { year, ...textTags } = tags;
+  for (const [key, value] of Object.entries(textTags)) {
+    command.outputOptions('-metadata', `${key}=${value}`);
+  }
+  if (year) command.outputOptions('-metadata', `date=${year}`);
+}
+
+// Audio containers that can embed a cover image
+const COVER_CONTAINERS = ['mp3', 'm4a', 'flac'];
+
+/**
+ * Write tags, and cover art where the container supports it, in the pass producing an audio file
+ * Add it after the input options (seek): the cover becomes the second input.
+ * @param {Object} command - fluent-ffmpeg command, mapping its audio with `-map 0:a:0`
+ * @param {string} container - Output container ('mp3', 'm4a', 'opus'...)
+ * @param {Object} tags - { title, artist, album, year, ... } (see tagService.buildTags)
+ * @param {string} [coverPath] - Cover image (skipped by containers without cover art)
+ */
+function addAudioTags(command, container, tags, coverPath = null) {
+  if (coverPath && COVER_CONTAINERS.includes(container)) {
+    command
+      .input(coverPath)
+      .outputOptions(['-map 1:v:0', '-c:v mjpeg', '-disposition:v attached_pic']);
+  }
+  if (container === 'mp3') {
+    command.outputOptions(['-id3v2_version 3']); // Best supported by music players
+  }
+  addMetadata(command, tags);
+}
+
+// Video containers that can embed a cover image (as a second, attached picture stream)
+const VIDEO_COVER_CONTAINERS = ['mp4', 'mov'];
+
+/**
+ * Write tags, and cover art where the container supports it, in the pass producing a video
+ * Add it after the input options (seek): the cover becomes the second input, so the
+ * command's video filters must only apply to the first video stream (`-filter:v:0`).
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {string} container - Output container ('mp4', 'mov', 'webm'...)
+ * @param {Object} tags - { title, artist, album, year, ... } (see tagService.buildTags)
+ * @param {string} [coverPath] - Cover image (skipped by containers without cover art)
+ */
+function addVideoTags(command, container, tags, coverPath = null) {
+  if (coverPath && VIDEO_COVER_CONTAINERS.includes(container)) {
+    command
+      .input(coverPath)
+      .outputOptions(['-map 0:v:0', '-map 0:a:0?', '-map 1:v:0', '-c:v:1 mjpeg', '-disposition:v:1 attached_pic']);
+  }
+  addMetadata(command, tags);
+}
+
+/**
+ * Kill an ffmpeg command when the signal aborts
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {AbortSignal} [signal]
+ */
+function killOnAbort(command, signal) {
+  if (!signal) return;
+
+  const onAbort = () => command.kill('SIGKILL');
+  const detach = () => signal.removeEventListener('abort', onAbort);
+
+  signal.addEventListener('abort', onAbort, { once: true });
+  command.on('end', detach).on('error', detach);
+}
+
+/**
+ * Build an ffmpeg 'error' handler
+ * Cancelled runs reject with JOB_CANCELLED and drop their partial output
+ * @param {Function} reject - Promise reject
+ * @param {Object} params - { signal, outputPath, message }
+ * @returns {Function}
+ */
+function errorHandler(reject, { signal, outputPath, message }) {
+  return (err) => {
+    if (signal && signal.aborted) {
+      deleteLocalFile(outputPath);
+      return reject(createCancelledError());
+    }
+
+    console.error('FFmpeg error:', err);
+    reject(new Error(message));
+  };
+}
+
+/**
+ * EBU R128 loudness targets: integrated loudness (LUFS), true peak (dBTP), loudness range (LU)
+ */
+export const LOUDNESS_PRESETS = {
+  streaming: { i: -14, tp: -1, lra: 11 }, // Spotify, YouTube
+  podcast: { i: -16, tp: -1.5, lra: 11 },
+  broadcast: { i: -23, tp: -1, lra: 7 } // EBU R128
+};
+
+/**
+ * Read the measurements loudnorm prints (as the last JSON block of stderr)
+ * @param {string} stderr - ffmpeg output of the first pass
+ * @returns {Object} - { i, tp, lra, thresh, offset }, NaN where loudnorm prints "-inf" (silent media)
+ * @throws {Error} - No measurements in the output
+ */
+export function parseLoudnormOutput(stderr) {
+  const stats = JSON.parse(stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1));
+  return {
+    i: parseFloat(stats.input_i),
+    tp: parseFloat(stats.input_tp),
+    lra: parseFloat(stats.input_lra),
+    thresh: parseFloat(stats.input_thresh),
+    offset: parseFloat(stats.target_offset)
+  };
+}
+
+/**
+ * Measure the loudness of a file (first loudnorm pass)
+ * @param {string} inputPath
+ * @param {string} preset - Key of LOUDNESS_PRESETS
+ * @param {Object} [options] - { signal, clip }
+ * @returns {Promise<Object>} - { preset, target: { i, tp, lra }, measured: { i, tp, lra, thresh, offset } }
+ */
+export function analyzeLoudness(inputPath, preset, { signal, clip = null } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const target = LOUDNESS_PRESETS[preset];
+    const command = ffmpeg(inputPath).noVideo();
+
+    if (clip) {
+      command.seekInput(clip.start);
+      if (clip.duration) command.duration(clip.duration);
+    }
+
+    command
+      .audioFilters(`loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}:print_format=json`)
+      .toFormat('null')
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('end', (stdout, stderr) => {
+        try {
+          const measured = parseLoudnormOutput(stderr);
+          console.log(`Loudness measured: ${measured.i} LUFS, ${measured.tp} dBTP, LRA ${measured.lra} LU`);
+          resolve({ preset, target, measured });
+        } catch (error) {
+          console.error('Loudness analysis output unreadable:', error.message);
+          reject(new Error('Failed to measure loudness'));
+        }
+      })
+      .on('error', errorHandler(reject, { signal, outputPath: null, message: 'Failed to measure loudness' }))
+      .save('-');
+
+    killOnAbort(command, signal);
+  });
+}
+
+/**
+ * Filter of the second loudnorm pass
+ * @param {Object} loudness - From analyzeLoudness
+ * @returns {string|null} - null for silent media (no measurable loudness)
+ */
+export function getLoudnormFilter({ target, measured }) {
+  if (!Object.values(measured).every(Number.isFinite)) return null;
+
+  return `loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}` +
+    `:measured_I=${measured.i}:measured_TP=${measured.tp}:measured_LRA=${measured.lra}` +
+    `:measured_thresh=${measured.thresh}:offset=${measured.offset}:linear=true`;
+}
+
+/**
+ * Apply the second loudnorm pass to an encoding command
+ * Silent media is left untouched.
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {Object} loudness - From analyzeLoudness
+ */
+function applyLoudnorm(command, loudness) {
+  const filter = getLoudnormFilter(loudness);
+  if (!filter) return;
+
+  command
+    .audioFilters(filter)
+    .audioFrequency(48000); // loudnorm outputs 192 kHz
+}
+
+/**
+ * Convert video/audio to MP3
+ * @param {number} bitrate - In kbps (320, 192, 128)
+ * @param {Object} [options] - { onProgress, signal, clip, loudness, tags, coverPath }
+ *   clip ({ start, duration } in seconds of the input file) keeps only that part
+ *   loudness (from analyzeLoudness) normalizes the output to its target
+ *   tags (see tagService.buildTags) and coverPath are written into the output
+ */
+export function convertToMP3(inputPath, outputFilename, bitrate, { onProgress, signal, clip = null, loudness = null, tags = null, coverPath = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
     const outputPath = path.join(path.dirname(inputPath), outputFilename);
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath);
+
+    // Input seek + re-encode: decoding starts at the previous keyframe, cut is sample-accurate
+    if (clip) {
+      command.seekInput(clip.start);
+      if (clip.duration) command.duration(clip.duration);
+    }
+
+    if (loudness) applyLoudnorm(command, loudness);
+
+    command.outputOptions('-map 0:a:0'); // Source video and cover streams are dropped
+    if (tags) addAudioTags(command, 'mp3', tags, coverPath);
+
+    command
       .audioCodec('libmp3lame')
-      .audioBitrate(320)
+      .audioBitrate(bitrate)
       .toFormat('mp3')
       .on('start', (commandLine) => {
         console.log('FFmpeg started:', commandLine);
       })
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          console.log(`Processing: ${Math.floor(progress.percent)}% done`);
-        }
-      })
+      .on('progress', progressHandler(onProgress))
       .on('end', () => {
-        console.log('MP3 conversion finished');
+        console.log(`MP3 ${bitrate}kbps conversion finished`);
         resolve(outputPath);
       })
-      .on('error', (err) => {
-        console.error('FFmpeg error:', err);
-        reject(new Error('Failed to convert to MP3'));
+      .on('error', errorHandler(reject, { signal, outputPath, message: 'Failed to convert to MP3' }))
+      .save(outputPath);
+
+    killOnAbort(command, signal);
+  });
+}
+
+// Audio outputs besides MP3: ffmpeg encoder, muxer, and source codecs that can be copied as is
+// streamOptions: extra output options when writing to a pipe (non-seekable output)
+const AUDIO_CODECS = {
+  flac: { encoder: 'flac', muxer: 'flac', copyFrom: ['flac'] },
+  wav: { encoder: 'pcm_s16le', muxer: 'wav', copyFrom: ['pcm_s16le'] },
+  m4a: {
+    encoder: 'aac',
+    muxer: 'ipod', // M4A flavour of MP4
+    copyFrom: ['aac'],
+    streamOptions: ['-movflags +empty_moov', '-frag_duration 1000000'] // Fragmented: no index to write at the end
+  },
+  opus: { encoder: 'libopus', muxer: 'opus', copyFrom: ['opus'] },
+  ogg: { encoder: 'libvorbis', muxer: 'ogg', copyFrom: ['vorbis'] }
+};
+
+/**
+ * Inspect the streams of a media file with ffprobe
+ * @param {string} inputPath
+ * @returns {Promise<Object>} - { container, duration, video: { codec, width, height } | null, audio: { codec, channels, sampleRate, bitrate } | null }
+ *   duration in seconds (null if unknown), first video/audio stream only (cover art is not video)
+ *   audio bitrate in kbps (null if unknown)
+ * @throws {Error} - File unreadable by ffprobe
+ */
+export function probeMedia(inputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      if (err) return reject(err);
+
+      const videoStream = metadata.streams.find((stream) => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+      const audioStream = metadata.streams.find((stream) => stream.codec_type === 'audio');
+      const duration = parseFloat(metadata.format.duration);
+      // WebM/Matroska streams carry no bitrate: an audio-only file's overall bitrate is the audio's
+      const audioBitrate = audioStream &&
+        (parseInt(audioStream.bit_rate) || (!videoStream && parseInt(metadata.format.bit_rate)) || null);
+
+      resolve({
+        container: metadata.format.format_name,
+        duration: Number.isFinite(duration) ? duration : null,
+        video: videoStream
+          ? { codec: videoStream.codec_name, width: videoStream.width, height: videoStream.height }
+          : null,
+        audio: audioStream
+          ? {
+            codec: audioStream.codec_name,
+            channels: audioStream.channels,
+            sampleRate: parseInt(audioStream.sample_rate) || null,
+            bitrate: audioBitrate ? Math.round(audioBitrate / 1000) : null
+          }
+          : null
+      });
+    });
+  });
+}
+
+/**
+ * First audio stream of a file
+ * @param {string} inputPath
+ * @returns {Promise<Object|null>} - { codec, channels, sampleRate, bitrate } (see probeMedia); null if unknown
+ */
+async function probeAudioStream(inputPath) {
+  try {
+    const media = await probeMedia(inputPath);
+    return media.audio;
+  } catch (err) {
+    console.warn('⚠️ ffprobe failed, re-encoding:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Convert audio to FLAC, WAV, M4A (AAC), Opus or OGG (Vorbis)
+ * The audio stream is copied without re-encoding when the source already
+ * uses the target codec (e.g. YouTube Opus -> .opus) and, for lossy codecs,
+ * a bitrate no higher than the target's, so the file matches its preset.
+ * Clips (cut exactly) and normalized outputs are always re-encoded.
+ * @param {string} inputPath
+ * @param {string} outputFilename
+ * @param {Object} target - { codec: 'flac' | 'wav' | 'm4a' | 'opus' | 'ogg', bitrate } (bitrate in kbps, lossy codecs only)
+ * @param {Object} [options] - { onProgress, signal, clip, loudness, tags, coverPath } (see convertToMP3)
+ */
+export async function convertAudio(inputPath, outputFilename, target, { onProgress, signal, clip = null, loudness = null, tags = null, coverPath = null } = {}) {
+  const codec = AUDIO_CODECS[target.codec];
+  if (!codec) throw new Error(`Unsupported audio codec: ${target.codec}`);
+
+  const source = clip || loudness ? null : await probeAudioStream(inputPath);
+  const sourceCodec = source ? source.codec : null;
+  const copy = codec.copyFrom.includes(sourceCodec) &&
+    (!target.bitrate || (source.bitrate !== null && source.bitrate <= target.bitrate));
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const outputPath = path.join(path.dirname(inputPath), outputFilename);
+
+    const command = ffmpeg(inputPath);
+
+    if (clip) {
+      command.seekInput(clip.start);
+      if (clip.duration) command.duration(clip.duration);
+    }
+
+    command.outputOptions('-map 0:a:0'); // Source video and cover streams are dropped
+    if (tags) addAudioTags(command, target.codec, tags, coverPath);
+
+    if (copy) {
+      command.audioCodec('copy');
+    } else {
+      if (loudness) applyLoudnorm(command, loudness);
+      command.audioCodec(codec.encoder);
+      if (target.bitrate) command.audioBitrate(target.bitrate);
+    }
+
+    command
+      .toFormat(codec.muxer)
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('progress', progressHandler(onProgress))
+      .on('end', () => {
+        console.log(`${target.codec.toUpperCase()} conversion finished (${copy ? `${sourceCodec} stream copy` : 're-encoded'})`);
+        resolve(outputPath);
       })
+      .on('error', errorHandler(reject, { signal, outputPath, message: `Failed to convert to ${target.codec.toUpperCase()}` }))
       .save(outputPath);
+
+    killOnAbort(command, signal);
   });
 }
 
 /**
- * Convert video to MP4 HD (1080p)
+ * Encode an audio stream on the fly, for streaming conversions (nothing written to disk)
+ * @param {import('stream').Readable} input - e.g. yt-dlp stdout
+ * @param {import('stream').Writable} output - e.g. the HTTP response (left open: the caller ends it)
+ * @param {Object} target - { codec: 'mp3' or a key of AUDIO_CODECS, bitrate } (bitrate in kbps, lossy codecs only)
+ * @param {Object} [options] - { tags, signal }
+ *   tags ({ title, artist, ... }) are written as metadata (no cover art: it needs a second input)
+ * @returns {Promise<void>} - Resolves once ffmpeg wrote the whole output
  */
-export function convertToMP4HD(inputPath, outputFilename) {
+export function encodeAudioStream(input, output, target, { tags = null, signal } = {}) {
+  const codec = target.codec === 'mp3'
+    ? { encoder: 'libmp3lame', muxer: 'mp3' }
+    : AUDIO_CODECS[target.codec];
+  if (!codec) return Promise.reject(new Error(`Unsupported audio codec: ${target.codec}`));
+
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const command = ffmpeg(input)
+      .noVideo()
+      .audioCodec(codec.encoder);
+
+    if (target.bitrate) command.audioBitrate(target.bitrate);
+    if (codec.streamOptions) command.outputOptions(codec.streamOptions);
+    if (target.codec === 'mp3') command.outputOptions('-id3v2_version', '3');
+    if (tags) addMetadata(command, tags);
+
+    const encoded = command
+      .toFormat(codec.muxer)
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('error', errorHandler(reject, { signal, outputPath: null, message: `Failed to stream ${target.codec.toUpperCase()}` }))
+      .pipe();
+
+    // ffmpeg may exit before its last bytes went through: wait for both
+    const flushed = new Promise((resolveFlush) => encoded.on('end', resolveFlush));
+    command.on('end', () => flushed.then(() => {
+      console.log(`${target.codec.toUpperCase()} stream finished`);
+      resolve();
+    }));
+
+    encoded.pipe(output, { end: false });
+
+    killOnAbort(command, signal);
+  });
+}
+
+/**
+ * Convert video to MP4 HD (H.264/AAC, at most 1080p)
+ * Used when the download is not already playable everywhere (VP9, Opus...)
+ * @param {Object} [options] - { onProgress, signal, tags, coverPath } (tags: see tagService.buildTags)
+ */
+export function convertToMP4HD(inputPath, outputFilename, { onProgress, signal, tags = null, coverPath = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
     const outputPath = path.join(path.dirname(inputPath), outputFilename);
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .videoCodec('libx264')
       .audioCodec('aac')
-      .size('1920x1080')
       .videoBitrate('5000k')
       .audioBitrate('192k')
       .toFormat('mp4')
       .outputOptions([
+        '-filter:v:0', "scale=-2:'min(1080,ih)'", // Keep the aspect ratio, never upscale
         '-preset fast',
         '-crf 22',
         '-movflags +faststart'
-      ])
+      ]);
+    if (tags) addVideoTags(command, 'mp4', tags, coverPath);
+
+    command
       .on('start', (commandLine) => {
         console.log('FFmpeg started:', commandLine);
       })
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          console.log(`Processing: ${Math.floor(progress.percent)}% done`);
-        }
-      })
+      .on('progress', progressHandler(onProgress))
       .on('end', () => {
         console.log('MP4 HD conversion finished');
         resolve(outputPath);
       })
-      .on('error', (err) => {
-        console.error('FFmpeg error:', err);
-        reject(new Error('Failed to convert to MP4 HD'));
-      })
+      .on('error', errorHandler(reject, { signal, outputPath, message: 'Failed to convert to MP4 HD' }))
       .save(outputPath);
+
+    killOnAbort(command, signal);
   });
 }
 
 /**
- * Convert video to MP4 SD (720p)
+ * Convert video to MP4 SD (H.264/AAC, at most 720p)
+ * @param {Object} [options] - { onProgress, signal, tags, coverPath } (see convertToMP4HD)
  */
-export function convertToMP4SD(inputPath, outputFilename) {
+export function convertToMP4SD(inputPath, outputFilename, { onProgress, signal, tags = null, coverPath = null } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
     const outputPath = path.join(path.dirname(inputPath), outputFilename);
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .videoCodec('libx264')
       .audioCodec('aac')
-      .size('1280x720')
       .videoBitrate('2500k')
       .audioBitrate('128k')
       .toFormat('mp4')
       .outputOptions([
+        '-filter:v:0', "scale=-2:'min(720,ih)'",
         '-preset fast',
         '-crf 23',
         '-movflags +faststart'
-      ])
+      ]);
+    if (tags) addVideoTags(command, 'mp4', tags, coverPath);
+
+    command
       .on('start', (commandLine) => {
         console.log('FFmpeg started:', commandLine);
       })
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          console.log(`Processing: ${Math.floor(progress.percent)}% done`);
-        }
-      })
+      .on('progress', progressHandler(onProgress))
       .on('end', () => {
         console.log('MP4 SD conversion finished');
         resolve(outputPath);
       })
-      .on('error', (err) => {
-        console.error('FFmpeg error:', err);
-        reject(new Error('Failed to convert to MP4 SD'));
+      .on('error', errorHandler(reject, { signal, outputPath, message: 'Failed to convert to MP4 SD' }))
+      .save(outputPath);
+
+    killOnAbort(command, signal);
+  });
+}
+
+// Video containers: ffmpeg muxer and the encoders used when a clip must be re-encoded
+const VIDEO_CONTAINERS = {
+  mp4: { muxer: 'mp4', videoCodec: 'libx264', audioCodec: 'aac', options: ['-preset fast', '-crf 18', '-movflags +faststart'] },
+  mov: { muxer: 'mov', videoCodec: 'libx264', audioCodec: 'aac', options: ['-preset fast', '-crf 18', '-movflags +faststart'] },
+  mkv: { muxer: 'matroska', videoCodec: 'libx264', audioCodec: 'aac', options: ['-preset fast', '-crf 18'] },
+  webm: { muxer: 'webm', videoCodec: 'libvpx-vp9', audioCodec: 'libopus', options: ['-crf 32', '-b:v 0', '-deadline good', '-cpu-used 4'] }
+};
+
+/**
+ * Cut a clip out of a video, frame-accurately
+ * A clip starting at the beginning of the file is stream-copied (only the end is cut);
+ * any other start falls between keyframes, so the clip is re-encoded.
+ * @param {string} inputPath
+ * @param {string} outputFilename
+ * @param {Object} clip - { start, duration } in seconds of the input file (duration null = until the end)
+ * @param {Object} [options] - { onProgress, signal, container: 'mp4' | 'mov' | 'mkv' | 'webm', tags, coverPath }
+ */
+export function cutClip(inputPath, outputFilename, clip, { onProgress, signal, container = 'mp4', tags = null, coverPath = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const outputPath = path.join(path.dirname(inputPath), outputFilename);
+    const reencode = clip.start > 0;
+    const { muxer, videoCodec, audioCodec, options } = VIDEO_CONTAINERS[container];
+
+    const command = ffmpeg(inputPath);
+    if (reencode) command.seekInput(clip.start);
+    if (clip.duration) command.duration(clip.duration);
+
+    if (reencode) {
+      command
+        .videoCodec(videoCodec)
+        .audioCodec(audioCodec)
+        .audioBitrate('192k')
+        .outputOptions(options);
+    } else {
+      command.outputOptions(['-c copy', ...options.filter((option) => option.startsWith('-movflags'))]);
+    }
+
+    if (tags) addVideoTags(command, container, tags, coverPath);
+
+    command
+      .toFormat(muxer)
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('progress', progressHandler(onProgress))
+      .on('end', () => {
+        console.log(`Clip cut finished (${reencode ? 're-encoded' : 'stream copy'})`);
+        resolve(outputPath);
+      })
+      .on('error', errorHandler(reject, { signal, outputPath, message: 'Failed to cut clip' }))
+      .save(outputPath);
+
+    killOnAbort(command, signal);
+  });
+}
+
+/**
+ * Burn subtitles into a video (re-encoded as H.264 MP4)
+ * @param {string} inputPath
+ * @param {string} outputFilename
+ * @param {string} subtitlePath - SRT file, timed against the output (clip start = 0:00)
+ * @param {Object} [options] - { onProgress, signal, clip, tags, coverPath }
+ */
+export function burnSubtitles(inputPath, outputFilename, subtitlePath, { onProgress, signal, clip = null, tags = null, coverPath = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const outputPath = path.join(path.dirname(inputPath), outputFilename);
+    // Filtergraph escaping: the path sits inside a quoted option value
+    const escapedSubtitlePath = subtitlePath.replace(/\\/g, '/').replace(/([:'])/g, '\\$1');
+
+    const command = ffmpeg(inputPath);
+
+    // Input seek resets timestamps to 0, matching the subtitle timings
+    if (clip) {
+      command.seekInput(clip.start);
+      if (clip.duration) command.duration(clip.duration);
+    }
+
+    if (tags) addVideoTags(command, 'mp4', tags, coverPath);
+
+    command
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .audioBitrate('192k')
+      .outputOptions(['-filter:v:0', `subtitles='${escapedSubtitlePath}'`, '-preset fast', '-crf 18', '-movflags +faststart'])
+      .toFormat('mp4')
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('progress', progressHandler(onProgress))
+      .on('end', () => {
+        console.log('Subtitle burn-in finished');
+        resolve(outputPath);
+      })
+      .on('error', errorHandler(reject, { signal, outputPath, message: 'Failed to burn subtitles' }))
+      .save(outputPath);
+
+    killOnAbort(command, signal);
+  });
+}
+
+/**
+ * Write tags (and cover art where the container supports it) into a copy of a video
+ * Streams are copied, nothing is re-encoded except the cover image: used for downloads
+ * delivered as is, which stay untouched in the cache.
+ * @param {string} inputPath
+ * @param {string} outputFilename - Same extension as the input ('mp4', 'mov', 'mkv', 'webm')
+ * @param {Object} tags - { title, artist, album, year, ... } (see tagService.buildTags)
+ * @param {Object} [options] - { coverPath, signal }
+ */
+export function writeTags(inputPath, outputFilename, tags, { coverPath = null, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const outputPath = path.join(path.dirname(inputPath), outputFilename);
+    const container = path.extname(outputFilename).slice(1).toLowerCase();
+    const { muxer, options } = VIDEO_CONTAINERS[container];
+
+    const command = ffmpeg(inputPath)
+      .outputOptions(['-c copy', ...options.filter((option) => option.startsWith('-movflags'))]);
+    addVideoTags(command, container, tags, coverPath);
+
+    command
+      .toFormat(muxer)
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('end', () => {
+        console.log('Tags written');
+        resolve(outputPath);
+      })
+      .on('error', errorHandler(reject, { signal, outputPath, message: 'Failed to write tags' }))
+      .save(outputPath);
+
+    killOnAbort(command, signal);
+  });
+}
+
+/**
+ * Convert a video (usually a short clip) to an animated GIF or WebP
+ * GIFs use a palette generated from the clip itself for decent colours.
+ * @param {string} inputPath
+ * @param {string} outputFilename
+ * @param {Object} animation - { type: 'gif' | 'webp', fps, width }
+ * @param {Object} [options] - { onProgress, signal, clip }
+ */
+export function convertToAnimation(inputPath, outputFilename, animation, { onProgress, signal, clip = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const outputPath = path.join(path.dirname(inputPath), outputFilename);
+    const scale = `fps=${animation.fps},scale=${animation.width}:-2:flags=lanczos`;
+
+    const command = ffmpeg(inputPath).noAudio();
+
+    if (clip) {
+      command.seekInput(clip.start);
+      if (clip.duration) command.duration(clip.duration);
+    }
+
+    if (animation.type === 'gif') {
+      command
+        .complexFilter(`[0:v]${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`)
+        .outputOptions(['-loop 0'])
+        .toFormat('gif');
+    } else {
+      command
+        .videoFilters(scale)
+        .videoCodec('libwebp')
+        .outputOptions(['-loop 0', '-lossless 0', '-q:v 75', '-preset picture'])
+        .toFormat('webp');
+    }
+
+    command
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('progress', progressHandler(onProgress))
+      .on('end', () => {
+        console.log(`${animation.type.toUpperCase()} conversion finished`);
+        resolve(outputPath);
+      })
+      .on('error', errorHandler(reject, { signal, outputPath, message: `Failed to convert to ${animation.type.toUpperCase()}` }))
+      .save(outputPath);
+
+    killOnAbort(command, signal);
+  });
+}
+
+// Still image encoders by output format (see utils/image IMAGE_FORMATS)
+const IMAGE_ENCODERS = {
+  avif: { muxer: 'avif', codec: 'libaom-av1', options: ['-still-picture 1', '-crf 32', '-cpu-used 8', '-pix_fmt yuv420p'] },
+  webp: { muxer: 'webp', codec: 'libwebp', options: ['-q:v 80', '-preset picture'] },
+  jpeg: { muxer: 'image2', codec: 'mjpeg', options: ['-q:v 3', '-pix_fmt yuvj420p', '-update 1'] }
+};
+
+/**
+ * Scale filter for an image resize
+ * @param {Object} size - { width, height, fit } (see utils/image parseImageOptions)
+ * @returns {string|null} - null when no size is given
+ */
+function imageScaleFilter({ width, height, fit }) {
+  // One dimension: keep the aspect ratio, never upscale
+  if (width && !height) return `scale='min(${width},iw)':-1:flags=lanczos`;
+  if (height && !width) return `scale=-1:'min(${height},ih)':flags=lanczos`;
+  if (!width && !height) return null;
+
+  if (fit === 'fill') return `scale=${width}:${height}:flags=lanczos`;
+  if (fit === 'contain') return `scale=${width}:${height}:force_original_aspect_ratio=decrease:flags=lanczos`;
+  return `scale=${width}:${height}:force_original_aspect_ratio=increase:flags=lanczos,crop=${width}:${height}`;
+}
+
+/**
+ * Resize and/or re-encode a still image (first frame of animated ones)
+ * @param {string} inputPath
+ * @param {string} outputFilename
+ * @param {Object} image - { width, height, fit, format: 'avif' | 'webp' | 'jpeg' }
+ * @param {Object} [options] - { signal }
+ */
+export function convertImage(inputPath, outputFilename, image, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const outputPath = path.join(path.dirname(inputPath), outputFilename);
+    const encoder = IMAGE_ENCODERS[image.format];
+    const scale = imageScaleFilter(image);
+
+    const command = ffmpeg(inputPath)
+      .noAudio()
+      .videoCodec(encoder.codec)
+      .outputOptions(['-frames:v 1', ...encoder.options])
+      .toFormat(encoder.muxer);
+
+    if (scale) command.videoFilters(scale);
+
+    command
+      .on('start', (commandLine) => {
+        console.log('FFmpeg started:', commandLine);
+      })
+      .on('end', () => {
+        console.log(`Image converted to ${image.format.toUpperCase()}`);
+        resolve(outputPath);
       })
+      .on('error', errorHandler(reject, { signal, outputPath, message: `Failed to convert image to ${image.format.toUpperCase()}` }))
       .save(outputPath);
+
+    killOnAbort(command, signal);
   });
 }
 
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { convertImage } from './ffmpegService.js';
+import { runInPool } from './workerPool.js';
+import {
+  getCacheKey,
+  getCacheEntry,
+  addToCache,
+  pinCacheEntry,
+  releaseCacheEntry
+} from './cacheService.js';
+import { safeFetch } from '../utils/safeFetch.js';
+import { IMAGE_FORMATS } from '../utils/image.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Thumbnails for /api/proxy-image
+ * The CDN image is fetched once and cached (kind 'image', variant 'original',
+ * keyed by its URL), so expiring Instagram/TikTok URLs keep working; resized
+ * and re-encoded versions are cached next to it, one variant per size/format.
+ */
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Image types accepted from CDNs, and their file extension (SVG is refused: it can carry scripts)
+const SOURCE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+// Fetches/conversions in progress, shared by identical requests (cache key -> Promise<entry>)
+const inFlightImages = new Map();
+
+/**
+ * Error for an image that could not be fetched or is not a supported image
+ * @param {string} code - IMAGE_FETCH_FAILED | UNSUPPORTED_IMAGE
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+function createImageError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Run a fetch/conversion once for every request wanting the same cache entry
+ * @param {Object} params - Cache entry params { sourceId, kind, variant }
+ * @param {Function} run - Resolves with a pinned cache entry
+ * @returns {Promise<Object>} - Cache entry, pinned for the caller
+ */
+async function getOrCreateEntry(params, run) {
+  const cached = getCacheEntry(params);
+  if (cached) return cached;
+
+  const key = getCacheKey(params);
+  let promise = inFlightImages.get(key);
+
+  if (!promise) {
+    promise = run().finally(() => inFlightImages.delete(key));
+    // Callers pin the entry for themselves: drop the run's own pin once they did
+    promise.then(
+      (entry) => setImmediate(() => releaseCacheEntry(entry.key)),
+      () => {} // Errors are handled by each caller
+    );
+    inFlightImages.set(key, promise);
+  }
+
+  const entry = await promise;
+  pinCacheEntry(entry.key);
+  return entry;
+}
+
+/**
+ * Fetch an image from its CDN into the cache
+ * @param {string} url
+ * @returns {Promise<Object>} - Pinned cache entry
+ * @throws {Error} - IMAGE_FETCH_FAILED, UNSUPPORTED_IMAGE, or a safeFetch error
+ */
+async function fetchSourceImage(url) {
+  const response = await safeFetch(url, { maxBytes: MAX_IMAGE_BYTES });
+
+  if (!response.ok) {
+    response.body?.cancel();
+    // CDN client errors (404, 403 on an expired URL...) keep their status
+    const status = response.status >= 400 && response.status < 500 ? response.status : 502;
+    throw createImageError('IMAGE_FETCH_FAILED', `Failed to fetch image: ${response.status} ${response.statusText}`, status);
+  }
+
+  const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const extension = SOURCE_TYPES[mimeType];
+  if (!extension) {
+    response.body?.cancel();
+    throw createImageError('UNSUPPORTED_IMAGE', `Unsupported image type: ${mimeType || 'unknown'}`, 415);
+  }
+
+  const image = Buffer.from(await response.arrayBuffer());
+  const tempDir = path.join(__dirname, '../../temp');
+  fs.mkdirSync(tempDir, { recursive: true });
+  const filePath = path.join(tempDir, `image_${crypto.randomUUID()}.${extension}`);
+  fs.writeFileSync(filePath, image);
+
+  return addToCache(filePath, {
+    sourceId: url,
+    kind: 'image',
+    variant: 'original',
+    codec: extension,
+    filename: `image.${extension}`,
+    info: { mimeType }
+  });
+}
+
+/**
+ * Get a proxied image, resized and/or re-encoded when asked
+ * A failed conversion falls back to the original image.
+ * @param {string} url - CDN URL of the image
+ * @param {Object} options - { width, height, fit } (see utils/image parseImageOptions)
+ * @param {string|null} format - 'avif' | 'webp' accepted by the client (see negotiateImageFormat)
+ * @returns {Promise<Object>} - { filePath, mimeType, cacheKey, etag }; release cacheKey (releaseCacheEntry) once sent
+ * @throws {Error} - IMAGE_FETCH_FAILED, UNSUPPORTED_IMAGE, or a safeFetch error
+ */
+export async function getProxiedImage(url, { width, height, fit }, format) {
+  const source = await getOrCreateEntry({ sourceId: url, kind: 'image', variant: 'original' }, () => fetchSourceImage(url));
+  const resize = width !== null || height !== null;
+
+  // Already in the best format the client takes, and no resize: send it as is
+  if (!resize && (!format || source.codec === IMAGE_FORMATS[format].extension)) {
+    return toImageResult(source, source.info.mimeType);
+  }
+
+  // Resized images fall back to JPEG for clients without AVIF/WebP support
+  const targetFormat = format || 'jpeg';
+  const target = IMAGE_FORMATS[targetFormat];
+  const variant = `${width || 'auto'}x${height || 'auto'}_${fit}.${target.extension}`;
+
+  try {
+    const converted = await getOrCreateEntry({ sourceId: url, kind: 'image', variant }, async () => {
+      const outputFilename = `image_${crypto.randomUUID()}.${target.extension}`;
+      const outputPath = await runInPool('image', () => convertImage(source.filePath, outputFilename, {
+        width,
+        height,
+        fit,
+        format: targetFormat
+      }));
+
+      return addToCache(outputPath, {
+        sourceId: url,
+        kind: 'image',
+        variant,
+        codec: target.extension,
+        filename: `image.${target.extension}`,
+        info: { mimeType: target.mimeType }
+      });
+    });
+
+    releaseCacheEntry(source.key);
+    return toImageResult(converted, target.mimeType);
+  } catch (error) {
+    console.warn(`⚠️ Image not converted (${variant}), sending the original:`, error.message);
+    return toImageResult(source, source.info.mimeType);
+  }
+}
+
+/**
+ * @param {Object} entry - Pinned cache entry
+ * @param {string} mimeType
+ * @returns {Object} - See getProxiedImage
+ */
+function toImageResult(entry, mimeType) {
+  return {
+    filePath: entry.filePath,
+    mimeType,
+    cacheKey: entry.key,
+    // Changes whenever the entry is stored again (e.g. fetched again after an eviction)
+    etag: `"${entry.key.slice(0, 16)}-${entry.createdAt.toString(36)}-${entry.size.toString(36)}"`
+  };
+}
@@ -0,0 +1,308 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+/**
+ * Conversion job lifecycle:
+ * queued -> downloading -> converting -> storing -> done
+ * Any stage can end in 'failed' or 'cancelled'.
+ * Playlist and batch jobs convert several items, each with its own status.
+ */
+export const JOB_STATES = ['queued', 'downloading', 'converting', 'storing', 'done', 'failed', 'cancelled'];
+export const FINAL_STATES = ['done', 'failed', 'cancelled'];
+
+// In-memory job store (jobs live as long as the process, pruned by cron)
+const jobs = new Map();
+
+// Emits `job:<id>` with { type: 'status' | 'progress', job } on every change
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open SSE connection
+
+function emitJobEvent(job, type) {
+  jobEvents.emit(`job:${job.id}`, { type, job });
+}
+
+/**
+ * Create a new conversion job
+ * @param {Object} params
+ * @param {string|null} params.userId - Owner (authenticated user)
+ * @param {string|null} params.guestToken - Owner (anonymous guest)
+ * @param {string} params.url - Media URL
+ * @param {string} params.format - Requested format
+ * @param {number} params.priority - Worker pool priority (see workerPool.getPlanPriority)
+ * @param {string} [params.type] - 'single' | 'playlist' | 'batch'
+ * @param {string} [params.title] - Playlist title
+ * @param {Array<Object>} [params.items] - Playlist entries ({ index, title, author, duration, url })
+ *   or batch items ({ index, url, format })
+ * @param {boolean} [params.zip] - Deliver the items as one ZIP archive (multi-item jobs)
+ * @param {Object} [params.clip] - { start, end } in seconds: only convert that part of the media
+ * @param {Object} [params.animation] - { fps, width } for GIF/WebP outputs
+ * @param {Object} [params.tags] - Tags overriding the source metadata ({ title, artist, album, year })
+ * @param {string} [params.normalize] - Loudness preset for audio outputs ('streaming', 'podcast', 'broadcast')
+ * @param {string} [params.subtitles] - Subtitle language (subtitle formats, or burned into MP4)
+ * @param {string} [params.match] - YouTube video ID picked for a Spotify track (instead of the best match)
+ * @returns {Object} - The created job
+ */
+export function createJob({ userId = null, guestToken = null, url, format, priority = 0, type = 'single', title = null, items = null, zip = false, clip = null, animation = null, tags = null, normalize = null, subtitles = null, match = null }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    guestToken,
+    url,
+    format,
+    clip,
+    animation,
+    tags,
+    normalize,
+    subtitles,
+    match,
+    priority,
+    type,
+    title,
+    items: items
+      ? items.map((item) => ({ ...item, status: 'queued', filename: null, downloadUrl: null, fileSize: null, error: null }))
+      : null,
+    zip,
+    status: 'queued',
+    queuePosition: null,
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    // Aborted on cancel: kills the job's yt-dlp/ffmpeg processes
+    abortController: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId
+ * @returns {Object|null}
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Move a job to a new (non-final) state
+ * @param {string} jobId
+ * @param {string} status - One of JOB_STATES
+ */
+export function updateJobStatus(jobId, status) {
+  const job = jobs.get(jobId);
+  if (!job || FINAL_STATES.includes(job.status)) return;
+
+  job.status = status;
+  job.progress = null; // Progress is per stage
+  job.updatedAt = new Date().toISOString();
+  emitJobEvent(job, 'status');
+}
+
+/**
+ * Record the job's position in a worker pool queue (0 = running)
+ * @param {string} jobId
+ * @param {number} position
+ */
+export function updateJobQueuePosition(jobId, position) {
+  const job = jobs.get(jobId);
+  if (!job || FINAL_STATES.includes(job.status)) return;
+
+  const queuePosition = position > 0 ? position : null;
+  if (job.queuePosition === queuePosition) return;
+
+  job.queuePosition = queuePosition;
+  job.updatedAt = new Date().toISOString();
+  emitJobEvent(job, 'status');
+}
+
+/**
+ * Report progress of the current stage
+ * Only whole-percent changes are broadcast to keep SSE traffic low
+ * @param {string} jobId
+ * @param {Object} progress - { percent, speed (bytes/s), eta (s) }
+ */
+export function updateJobProgress(jobId, { percent = null, speed = null, eta = null }) {
+  const job = jobs.get(jobId);
+  if (!job || FINAL_STATES.includes(job.status)) return;
+
+  const roundedPercent = percent === null ? null : Math.min(100, Math.floor(percent));
+  if (job.progress && job.progress.percent === roundedPercent) return;
+
+  job.progress = {
+    stage: job.status,
+    percent: roundedPercent,
+    speed,
+    eta
+  };
+  emitJobEvent(job, 'progress');
+}
+
+/**
+ * Update one item of a multi-item job (status, filename, download URL or error)
+ * @param {string} jobId
+ * @param {number} index - Item index (1-based, as listed)
+ * @param {Object} changes - { status, filename, downloadUrl, fileSize, error }
+ */
+export function updateJobItem(jobId, index, changes) {
+  const job = jobs.get(jobId);
+  if (!job || !job.items || FINAL_STATES.includes(job.status)) return;
+
+  const item = job.items.find((entry) => entry.index === index);
+  if (!item) return;
+
+  Object.assign(item, changes);
+  job.updatedAt = new Date().toISOString();
+  emitJobEvent(job, 'status');
+}
+
+/**
+ * Subscribe to status/progress changes of a job
+ * @param {string} jobId
+ * @param {Function} listener - Called with { type, job }
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(`job:${jobId}`, listener);
+  return () => jobEvents.off(`job:${jobId}`, listener);
+}
+
+/**
+ * Mark a job as done and attach its result
+ * @param {string} jobId
+ * @param {Object} result - Download URL, filename, size...
+ */
+export function completeJob(jobId, result) {
+  const job = jobs.get(jobId);
+  if (!job || FINAL_STATES.includes(job.status)) return;
+
+  const now = new Date().toISOString();
+  job.status = 'done';
+  job.queuePosition = null;
+  job.progress = null;
+  job.result = result;
+  job.updatedAt = now;
+  job.finishedAt = now;
+  emitJobEvent(job, 'status');
+}
+
+/**
+ * Mark a job as failed with a structured error
+ * @param {string} jobId
+ * @param {Error} error - Error (optionally carrying a `code`)
+ */
+export function failJob(jobId, error) {
+  const job = jobs.get(jobId);
+  if (!job || FINAL_STATES.includes(job.status)) return;
+
+  const now = new Date().toISOString();
+  job.status = 'failed';
+  job.error = {
+    message: error.message || 'Conversion failed',
+    code: error.code || 'CONVERSION_FAILED'
+  };
+  job.queuePosition = null;
+  job.progress = null;
+  job.updatedAt = now;
+  job.finishedAt = now;
+  emitJobEvent(job, 'status');
+}
+
+/**
+ * Cancel a running job: its processes are killed through the abort signal
+ * @param {string} jobId
+ * @returns {boolean} - false if the job is unknown or already finished
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || FINAL_STATES.includes(job.status)) return false;
+
+  const now = new Date().toISOString();
+  job.status = 'cancelled';
+  job.queuePosition = null;
+  job.progress = null;
+  job.updatedAt = now;
+  job.finishedAt = now;
+  emitJobEvent(job, 'status');
+
+  job.abortController.abort();
+  return true;
+}
+
+/**
+ * Check whether the caller owns a job (user ID or guest token)
+ * @param {Object} job
+ * @param {Object} owner - { userId, guestToken }
+ * @returns {boolean}
+ */
+export function isJobOwner(job, { userId = null, guestToken = null }) {
+  if (job.userId) return job.userId === userId;
+  return !!guestToken && job.guestToken === guestToken;
+}
+
+/**
+ * List jobs belonging to a user or guest (newest first)
+ * @param {Object} owner - { userId, guestToken }
+ * @returns {Array<Object>}
+ */
+export function listJobs(owner) {
+  return [...jobs.values()]
+    .filter((job) => isJobOwner(job, owner))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Public representation of a job (never exposes owner identifiers)
+ * @param {Object} job
+ * @returns {Object}
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    url: job.url,
+    format: job.format,
+    ...(job.clip && { clip: job.clip }),
+    ...(job.animation && { animation: job.animation }),
+    ...(job.tags && { tags: job.tags }),
+    ...(job.normalize && { normalize: job.normalize }),
+    ...(job.subtitles && { subtitles: job.subtitles }),
+    ...(job.match && { match: job.match }),
+    ...(job.items && { title: job.title, items: job.items }),
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Forget finished jobs older than maxAgeMinutes (for cron job)
+ * @param {number} maxAgeMinutes - Max age in minutes (default: 60)
+ */
+export function deleteOldJobs(maxAgeMinutes = 60) {
+  const now = Date.now();
+  let deletedCount = 0;
+
+  for (const [jobId, job] of jobs) {
+    if (!job.finishedAt) continue;
+
+    const ageMinutes = (now - new Date(job.finishedAt).getTime()) / (1000 * 60);
+    if (ageMinutes > maxAgeMinutes) {
+      jobs.delete(jobId);
+      deletedCount++;
+    }
+  }
+
+  if (deletedCount > 0) {
+    console.log(`✅ Job Cleanup: Forgot ${deletedCount} finished jobs`);
+  }
+}
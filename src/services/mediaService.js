@@ -1,7 +1,26 @@
 import path from "path";
+import crypto from "crypto";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import ytDlp from "yt-dlp-exec";
+import {
+  createCancelledError,
+  throwIfCancelled,
+  killProcessTree,
+} from "../utils/abort.js";
+import {
+  getCacheKey,
+  getCacheEntry,
+  addToCache,
+  pinCacheEntry,
+  releaseCacheEntry,
+} from "./cacheService.js";
+import {
+  getPlatform,
+  isSupportedUrl,
+  isShortLink,
+  parseMediaUrl,
+} from "../platforms/index.js";
 
 // Get current directory
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -40,8 +59,8 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 2000) {
         errorMessage.includes("429") ||
         errorMessage.includes("Too Many Requests");
 
-      // If it's the last attempt or not a retryable error, throw immediately
-      if (attempt === maxRetries || !isBotError) {
+      // If it's the last attempt, not a retryable error or a cancellation, throw immediately
+      if (attempt === maxRetries || !isBotError || error.code === "JOB_CANCELLED") {
         console.error(`❌ Attempt ${attempt} failed (final):`, errorMessage);
         throw error;
       }
@@ -57,6 +76,85 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 2000) {
   throw lastError;
 }
 
+// Machine-readable progress lines printed by yt-dlp (one per update with --newline)
+// Fields: downloaded bytes / total bytes / estimated total bytes / speed (B/s) / ETA (s)
+const PROGRESS_PREFIX = "[linkiz-progress]";
+const PROGRESS_TEMPLATE = `download:${PROGRESS_PREFIX} %(progress.downloaded_bytes)s/%(progress.total_bytes)s/%(progress.total_bytes_estimate)s/%(progress.speed)s/%(progress.eta)s`;
+
+/**
+ * Parse a yt-dlp progress line (see PROGRESS_TEMPLATE)
+ * @param {string} line
+ * @returns {Object|null} - { percent, speed, eta } or null if not a progress line
+ */
+function parseProgressLine(line) {
+  if (!line.startsWith(PROGRESS_PREFIX)) return null;
+
+  const [downloaded, total, estimate, speed, eta] = line
+    .slice(PROGRESS_PREFIX.length)
+    .trim()
+    .split("/")
+    .map((value) => (value === "NA" ? null : Number(value)));
+
+  const totalBytes = total || estimate;
+
+  return {
+    percent: totalBytes ? (downloaded / totalBytes) * 100 : null,
+    speed: speed !== null && !isNaN(speed) ? Math.round(speed) : null,
+    eta: eta !== null && !isNaN(eta) ? Math.round(eta) : null,
+  };
+}
+
+/**
+ * Run a yt-dlp download, forwarding its progress
+ * @param {string} url
+ * @param {Object} flags - yt-dlp flags (camelCase, see yt-dlp-exec)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { percent, speed, eta }
+ * @param {AbortSignal} [options.signal] - Kills yt-dlp and its ffmpeg children when aborted
+ * @returns {Promise<void>}
+ */
+async function runYtDlp(url, flags, { onProgress, signal } = {}) {
+  throwIfCancelled(signal);
+
+  const subprocess = ytDlp.exec(
+    url,
+    {
+      ...flags,
+      newline: true,
+      progressTemplate: PROGRESS_TEMPLATE,
+    },
+    {
+      // Own process group, so the merge ffmpeg can be killed along with yt-dlp
+      detached: process.platform !== "win32",
+    },
+  );
+
+  const onAbort = () => killProcessTree(subprocess);
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  // stdout arrives in arbitrary chunks: split on newlines ourselves
+  let pending = "";
+  subprocess.stdout.on("data", (chunk) => {
+    pending += chunk.toString();
+    const lines = pending.split("\n");
+    pending = lines.pop();
+
+    for (const line of lines) {
+      const progress = parseProgressLine(line.trim());
+      if (progress && onProgress) onProgress(progress);
+    }
+  });
+
+  try {
+    await subprocess;
+  } catch (error) {
+    if (signal && signal.aborted) throw createCancelledError();
+    throw error;
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
+
 /**
  * Convert JSON cookies to Netscape format
  * @param {Array} jsonCookies
@@ -85,23 +183,25 @@ function jsonToNetscape(jsonCookies) {
 
 /**
  * Ensure valid cookies.txt exists from cookies.json
- * @param {string} platform - Platform name (youtube, instagram, etc.)
+ * @param {string} url - Media URL (its platform decides whether cookies are used)
+ * @param {boolean} [forceCookies] - Use them even on 'fallback' platforms (restricted media)
  * @returns {string|undefined} Path to cookies.txt or undefined
  */
-function getCookiesPath(platform = "youtube", forceCookies = false) {
+function getCookiesPath(url, forceCookies = false) {
   const jsonPath = path.join(__dirname, "../../cookies.json");
   const txtPath = path.join(__dirname, "../../cookies.txt");
+  const platform = getPlatform(url);
 
-  // IMPORTANT: Disable cookies for YouTube as they cause format restrictions
-  // YouTube works better WITHOUT cookies for most videos
+  // IMPORTANT: cookies cause format restrictions on YouTube ('fallback' platforms):
+  // it works better WITHOUT cookies for most videos
   // Only use cookies for age-restricted content (handled separately)
-  if (platform === "youtube" && !forceCookies) {
-    console.log("ℹ️ Cookies disabled for YouTube (works better without authentication)");
+  if (platform?.cookies === "fallback" && !forceCookies) {
+    console.log(`ℹ️ Cookies disabled for ${platform.name} (works better without authentication)`);
     return undefined;
   }
 
-  if (platform === "youtube" && forceCookies) {
-    console.log("🔑 Forcing cookies for YouTube (fallback for restricted content)");
+  if (platform?.cookies === "fallback" && forceCookies) {
+    console.log(`🔑 Forcing cookies for ${platform.name} (fallback for restricted content)`);
   }
 
   if (!fs.existsSync(jsonPath)) {
@@ -152,78 +252,71 @@ function sanitizeFilename(filename) {
 }
 
 /**
- * Validate Media URL (YouTube, Instagram, Facebook, TikTok, SoundCloud, Spotify)
- * @param {string} url
- * @returns {boolean}
+ * Prefix of the temp files of a download: the hash of its cache key, so no
+ * variant's prefix starts another's (video_4k vs video_4k_webm, a full
+ * download vs its sections)
+ * @param {string} videoId - Media ID
+ * @param {string} variant - Download variant, e.g. 'video_best_mkv'
+ * @returns {string}
  */
-export function isValidMediaUrl(url) {
-  const patterns = [
-    // YouTube: youtube.com, youtu.be, youtube.com/shorts
-    /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+$/,
-
-    // Instagram: www, ddinstagram for embeds, /p/ for posts, /reel/ or /reels/ for reels, /tv/ for IGTV
-    /^(https?:\/\/)?(www\.|dd)?instagram\.com\/(p|reels?|tv)\/.+$/,
-
-    // Facebook: www, web, m subdomains, fb.watch short links
-    /^(https?:\/\/)?(www\.|web\.|m\.)?(facebook\.com|fb\.watch)\/.+$/,
+export function getDownloadPrefix(videoId, variant) {
+  return `${getCacheKey({ sourceId: videoId, kind: "download", variant })}_`;
+}
 
-    // TikTok: tiktok.com, vm.tiktok.com (mobile share), vt.tiktok.com (regional share)
-    /^(https?:\/\/)?(www\.)?(tiktok\.com|vm\.tiktok\.com|vt\.tiktok\.com)\/.+$/,
+/**
+ * Delete every temp file of a download (partial .part files, unmerged streams...)
+ * @param {string} tempDir
+ * @param {string} prefix - See getDownloadPrefix
+ */
+export function deletePartialDownloads(tempDir, prefix) {
+  for (const file of fs.readdirSync(tempDir)) {
+    if (!file.startsWith(prefix)) continue;
 
-    // SoundCloud
-    /^(https?:\/\/)?(www\.)?soundcloud\.com\/.+$/,
+    try {
+      fs.unlinkSync(path.join(tempDir, file));
+      console.log(`🧹 Deleted partial download: ${file}`);
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete partial download ${file}:`, error.message);
+    }
+  }
+}
 
-    // Spotify
-    /^(https?:\/\/)?(open\.)?spotify\.com\/.+$/,
-  ];
-  return patterns.some((pattern) => pattern.test(url));
+/**
+ * Validate Media URL: a media page of a supported platform (see platforms/)
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isValidMediaUrl(url) {
+  return isSupportedUrl(url);
 }
 
 /**
  * Extract video ID from URL for smart caching
  * @param {string} url
+ * @param {string|null} [match] - YouTube video picked for a Spotify track (cached apart from the default match)
  * @returns {string} - Video ID or hash of URL
  */
-function getVideoId(url) {
+function getVideoId(url, match = null) {
   try {
-    // YouTube
-    if (url.includes("youtube.com") || url.includes("youtu.be")) {
-      const urlObj = new URL(url);
-      if (url.includes("youtu.be")) {
-        return urlObj.pathname.slice(1).split("?")[0];
-      }
-      return urlObj.searchParams.get("v") || "unknown";
-    }
-
-    // Instagram - extract from path
-    if (url.includes("instagram.com")) {
-      const match = url.match(/\/(p|reel|tv)\/([A-Za-z0-9_-]+)/);
-      return match ? match[2] : "unknown";
-    }
-
-    // TikTok
-    if (url.includes("tiktok.com")) {
-      const match = url.match(/video\/(\d+)/);
-      return match ? match[1] : "unknown";
-    }
-
-    // Spotify
-    if (url.includes("spotify.com")) {
-      const match = url.match(/track\/([A-Za-z0-9]+)/);
-      return match ? `spotify_${match[1]}` : "spotify_unknown";
-    }
-
-    // For other platforms, use a simple hash
-    return Buffer.from(url)
-      .toString("base64")
-      .slice(0, 16)
-      .replace(/[^a-zA-Z0-9]/g, "");
+    const platform = getPlatform(url);
+    const mediaId = platform?.getMediaId?.(parseMediaUrl(url)) || hashUrl(url);
+    return match ? `${mediaId}_match-${match}` : mediaId;
   } catch (e) {
     // Fallback to timestamp if ID extraction fails
     return `fallback_${Date.now()}`;
   }
 }
 
+/**
+ * Short stable hash of a URL, used as media ID when none can be extracted
+ * (IDs must never collide: identical IDs share one download)
+ * @param {string} url
+ * @returns {string}
+ */
+function hashUrl(url) {
+  return crypto.createHash("sha1").update(url).digest("hex").slice(0, 16);
+}
+
 /**
  * Resolve shortened URLs (like vt.tiktok.com) to full URLs
  * @param {string} shortUrl
@@ -246,62 +339,75 @@ async function resolveRedirect(shortUrl) {
   }
 }
 
+/**
+ * Tags of a media: yt-dlp's generic fields, completed by the platform's getMetadata
+ * (Bandcamp album, Mixcloud DJ...) and overridden by metadata the platform resolved
+ * itself (Spotify knows the real album and cover)
+ * @param {Object} output - yt-dlp JSON of the media
+ * @param {Object|null} sourceMetadata - From resolveDownloadSource
+ * @param {Object|null} platform - From resolveDownloadSource
+ * @returns {{ title: string|null, artist: string|null, album: string|null, year: string|null, coverUrl: string|null,
+ *   track: string|null, isrc: string|null }} - track/isrc: Spotify only
+ */
+function getSourceMetadata(output, sourceMetadata, platform) {
+  const metadata = {
+    title: output.track || output.title || null,
+    artist: output.artist || output.creator || output.uploader || output.channel || null,
+    album: output.album || null,
+    year:
+      (output.release_year ? String(output.release_year) : null) ||
+      (output.upload_date ? output.upload_date.slice(0, 4) : null),
+    coverUrl: output.thumbnail || null,
+    track: null,
+    isrc: null,
+  };
+
+  const platformMetadata = platform?.getMetadata ? platform.getMetadata(output) : {};
+  for (const [key, value] of Object.entries(platformMetadata)) {
+    if (value) metadata[key] = String(value);
+  }
+
+  if (sourceMetadata) {
+    metadata.title = sourceMetadata.title;
+    metadata.artist = sourceMetadata.artist;
+    metadata.album = sourceMetadata.album || metadata.album;
+    metadata.year = sourceMetadata.year || metadata.year;
+    metadata.coverUrl = sourceMetadata.thumbnail || metadata.coverUrl;
+    metadata.track = sourceMetadata.trackNumber ? String(sourceMetadata.trackNumber) : null;
+    metadata.isrc = sourceMetadata.isrc || null;
+  }
+
+  return metadata;
+}
+
 /**
  * Get video metadata using yt-dlp with retry logic
  * @param {string} url
- * @returns {Promise<Object>}
+ * @param {Object} [options]
+ * @param {string} [options.match] - YouTube video picked for a Spotify track (see resolveDownloadSource)
+ * @returns {Promise<Object>} - Spotify tracks add `match` and `alternatives` (YouTube videos with their confidence)
  */
-export async function getVideoInfo(url) {
+export async function getVideoInfo(url, { match = null } = {}) {
   return retryWithBackoff(
     async () => {
       try {
-        const cookiesPath = getCookiesPath();
-        let cleanUrl = url;
-        let spotifyMetadata = null;
-
-        // Handle Spotify track info
-        if (url.includes("spotify.com")) {
-          console.log("Detected Spotify URL, fetching metadata...");
-          const { getSpotifyMetadata } = await import("./spotifyHelper.js");
-          spotifyMetadata = await getSpotifyMetadata(url);
-          // Search on YouTube for the track
-          cleanUrl = `ytsearch1:${spotifyMetadata.artist} - ${spotifyMetadata.title}`;
-          console.log(`Searching YouTube for: ${cleanUrl}`);
-        }
-
-        // Apply specific cleaning for YouTube to remove playlists
-        if (url.includes("youtube.com") || url.includes("youtu.be")) {
-          try {
-            const urlObj = new URL(url);
-            urlObj.searchParams.delete("list");
-            urlObj.searchParams.delete("index");
-            urlObj.searchParams.delete("pp");
-            cleanUrl = urlObj.toString();
-          } catch (e) {
-            // invalid url, let yt-dlp handle error
-          }
-        }
-
-        // Resolve TikTok shortened URLs
-        if (url.includes("vt.tiktok.com") || url.includes("vm.tiktok.com")) {
-          console.log("Resolving TikTok short link...");
-          const resolved = await resolveRedirect(url);
-          // Clean query parameters to match the working standard URL format
-          try {
-            const urlObj = new URL(resolved);
-            urlObj.search = ""; // Remove all query params (?_r=1, etc)
-            cleanUrl = urlObj.toString();
-            console.log("Cleaned resolved URL:", cleanUrl);
-          } catch (e) {
-            cleanUrl = resolved;
-          }
-        }
+        // Share links first, then what yt-dlp must fetch (e.g. a YouTube search for Spotify)
+        const resolvedUrl = await resolveShortLink(url);
+        const {
+          cleanUrl,
+          sourceMetadata,
+          platform: sourcePlatform,
+          match: sourceMatch,
+          alternatives,
+        } = await resolveDownloadSource(resolvedUrl, { match });
+        const cookiesPath = getCookiesPath(resolvedUrl);
 
         const flags = {
+          ...sourcePlatform?.ytDlpOptions,
           dumpSingleJson: true,
           noWarnings: true,
           noPlaylist: true,
-          cookies: cookiesPath, // Enable cookies for ALL platforms including TikTok
+          cookies: cookiesPath, // Enabled on every platform but YouTube (see getCookiesPath)
         };
 
         // Use yt-dlp to get JSON info with optimized flags
@@ -309,41 +415,66 @@ export async function getVideoInfo(url) {
           maxBuffer: 1024 * 1024 * 10, // Increase buffer to 10MB to prevent crash on large JSON
         });
 
-        // If it was a search (Spotify fallback), extract the first result
+        // If it was a search, extract the first result
         if (output.entries && output.entries.length > 0) {
           output = output.entries[0];
         }
 
-        // Use Spotify metadata if available, otherwise use yt-dlp output
-        const platform = spotifyMetadata
-          ? "spotify"
+        // Registered platform, otherwise what yt-dlp detected
+        const platform = sourcePlatform
+          ? sourcePlatform.id
           : output.extractor_key
             ? output.extractor_key.toLowerCase()
             : "unknown";
         let qualities = extractAvailableQualities(output.formats);
 
-        // Restriction: Spotify and SoundCloud only provide audio formats
-        if (platform === "spotify" || platform === "soundcloud") {
+        // Subtitle languages (manual ones are used first when both exist)
+        const subtitles = {
+          manual: Object.keys(output.subtitles || {}).filter((lang) => lang !== "live_chat"),
+          automatic: Object.keys(output.automatic_captions || {}),
+        };
+
+        // Restriction: audio-only platforms (Spotify, SoundCloud, Bandcamp...) only provide audio formats
+        if (sourcePlatform?.audioOnly) {
           qualities.video = [];
+          qualities.containers = [];
+          subtitles.manual = [];
+          subtitles.automatic = [];
         }
 
         return {
-          title: spotifyMetadata
-            ? sanitizeFilename(spotifyMetadata.title)
+          title: sourceMetadata
+            ? sanitizeFilename(sourceMetadata.title)
             : sanitizeFilename(output.title || "Unknown Title"),
-          author: spotifyMetadata
-            ? spotifyMetadata.artist
+          author: sourceMetadata
+            ? sourceMetadata.artist
             : output.uploader || output.channel || "Unknown Author",
           thumbnail: output.thumbnail || "",
           duration: output.duration
             ? `${Math.floor(output.duration / 60)}:${(output.duration % 60).toString().padStart(2, "0")}`
             : "Unknown",
+          durationSeconds: output.duration || null, // Of the media actually downloaded (YouTube match for Spotify)
           platform: platform,
           qualities: qualities,
+          subtitles: subtitles,
+          // Chapter markers (albums, DJ sets, courses), times in seconds
+          chapters: (output.chapters || []).map((chapter, i) => ({
+            index: i + 1,
+            title: chapter.title || `Chapter ${i + 1}`,
+            start: chapter.start_time,
+            end: chapter.end_time,
+          })),
+          // Tags written into the converted file
+          metadata: getSourceMetadata(output, sourceMetadata, sourcePlatform),
+          // Spotify: YouTube video matched to the track, and the other candidates to pick from
+          ...(sourceMatch && { match: sourceMatch, alternatives }),
         };
       } catch (error) {
         console.error("Error fetching video info:", error.message);
 
+        // Errors about the request itself (e.g. INVALID_MATCH) reach the client as is
+        if (error.status) throw error;
+
         // Enhance error message for bot detection
         if (
           error.message.includes("bot") ||
@@ -362,14 +493,152 @@ export async function getVideoInfo(url) {
   ); // 3 retries, 2s base delay
 }
 
+/**
+ * Search YouTube without fetching each result's formats (fast, one request)
+ * @param {string} query
+ * @param {number} count - Max results
+ * @returns {Promise<Array<{ id: string, url: string, title: string, channel: string|null, duration: number|null }>>}
+ */
+export async function searchYouTube(query, count) {
+  const output = await ytDlp(
+    `ytsearch${count}:${query}`,
+    {
+      dumpSingleJson: true,
+      flatPlaylist: true,
+      noWarnings: true,
+    },
+    {
+      maxBuffer: 1024 * 1024 * 10,
+    },
+  );
+
+  return (output.entries || [])
+    .filter((entry) => entry && entry.id)
+    .map((entry) => ({
+      id: entry.id,
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      title: entry.title || "",
+      channel: entry.channel || entry.uploader || null,
+      duration: entry.duration || null,
+    }));
+}
+
+/**
+ * Check whether a URL points to a collection rather than a single media:
+ * YouTube playlist pages, SoundCloud sets, Spotify albums and playlists
+ * (see each platform's isPlaylist)
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isPlaylistUrl(url) {
+  const platform = getPlatform(url);
+  return !!platform?.isPlaylist?.(parseMediaUrl(url));
+}
+
+/**
+ * List the entries of a playlist, album or set (without downloading them)
+ * At most MAX_PLAYLIST_ITEMS entries are returned (default 50)
+ * @param {string} url - See isPlaylistUrl
+ * @returns {Promise<Object>} - { title, author, thumbnail, entryCount, entries: [{ index, title, author, duration, url }] }
+ *   Spotify entries add { artists, album, trackNumber, releaseDate, isrc } (null when unknown)
+ */
+export async function getPlaylistInfo(url) {
+  const maxItems = parseInt(process.env.MAX_PLAYLIST_ITEMS) || 50;
+
+  // Platforms listing their own entries (Spotify): no yt-dlp
+  const platform = getPlatform(url);
+  if (platform?.listPlaylist) {
+    const collection = await platform.listPlaylist(url);
+
+    return {
+      title: sanitizeFilename(collection.title),
+      author: collection.author,
+      thumbnail: collection.thumbnail || "",
+      entryCount: collection.total ?? collection.tracks.length,
+      entries: collection.tracks.slice(0, maxItems).map((track, index) => ({
+        index: index + 1,
+        title: sanitizeFilename(track.title),
+        author: track.artist,
+        duration: track.duration,
+        url: track.url,
+        artists: track.artists,
+        album: track.album,
+        trackNumber: track.trackNumber,
+        releaseDate: track.releaseDate,
+        isrc: track.isrc,
+      })),
+    };
+  }
+
+  return retryWithBackoff(
+    async () => {
+      try {
+        const cookiesPath = getCookiesPath(url);
+
+        // Flat extraction: entry URLs and titles only, no per-entry requests
+        const output = await ytDlp(
+          url,
+          {
+            ...platform?.ytDlpOptions,
+            dumpSingleJson: true,
+            flatPlaylist: true,
+            playlistEnd: maxItems,
+            noWarnings: true,
+            cookies: cookiesPath,
+          },
+          {
+            maxBuffer: 1024 * 1024 * 10,
+          },
+        );
+
+        const author = output.uploader || output.channel || "Unknown Author";
+        const entries = (output.entries || []).filter(
+          (entry) => entry && (entry.webpage_url || entry.url),
+        );
+
+        return {
+          title: sanitizeFilename(output.title || "Playlist"),
+          author,
+          thumbnail: output.thumbnails?.length
+            ? output.thumbnails[output.thumbnails.length - 1].url
+            : "",
+          entryCount: output.playlist_count || entries.length,
+          entries: entries.map((entry, index) => ({
+            index: index + 1,
+            title: sanitizeFilename(entry.title || `Track ${index + 1}`),
+            author: entry.uploader || entry.channel || author,
+            duration: entry.duration ? Math.round(entry.duration) : null,
+            url: entry.webpage_url || entry.url,
+          })),
+        };
+      } catch (error) {
+        console.error("Error fetching playlist info:", error.message);
+
+        if (
+          error.message.includes("bot") ||
+          error.message.includes("Sign in to confirm")
+        ) {
+          throw new Error(
+            "YouTube bot detection triggered. Cookies may need refresh. Please try again or contact support.",
+          );
+        }
+
+        throw new Error("Failed to fetch playlist information");
+      }
+    },
+    3,
+    2000,
+  );
+}
+
 /**
  * Extract available video/audio qualities from formats array
  * @param {Array} formats
- * @returns {Object} - { video: ['4k', '1080p', '720p'], audio: [...] }
+ * @returns {Object} - { video: ['4k', '1080p', '720p'], audio: [...], containers: ['webm', 'mkv', ...] }
  */
 function extractAvailableQualities(formats) {
   if (!formats || formats.length === 0) {
-    return { video: [], audio: [] };
+    return { video: [], audio: [], containers: [] };
   }
 
   const videoFormats = formats.filter((f) => f.height && f.vcodec !== "none");
@@ -389,9 +658,19 @@ function extractAvailableQualities(formats) {
   // Audio Qualities (Standard set for now, as we re-encode audio)
   const audioQualities = ["320kbps", "192kbps", "128kbps"];
 
+  // Other video outputs: WebM needs VP9/AV1 streams, MOV H.264 ones up to 1080p (both are never re-encoded)
+  const containers = [];
+  if (videoFormats.length > 0) {
+    if (videoFormats.some((f) => /^(vp0?9|av01)/.test(f.vcodec || ""))) containers.push("webm");
+    containers.push("mkv");
+    if (videoFormats.some((f) => (f.vcodec || "").startsWith("avc1") && f.height <= 1080)) containers.push("mov");
+    containers.push("gif", "webp");
+  }
+
   return {
     video: uniqueVideoQualities, // e.g. ['4k', '1080p', '720p']
     audio: audioQualities,
+    containers, // e.g. ['webm', 'mkv', 'mov', 'gif', 'webp']
   };
 }
 
@@ -406,8 +685,7 @@ export async function getDirectDownloadLink(url, format = "video") {
   return retryWithBackoff(
     async () => {
       try {
-        const isYouTube = url.includes("youtube.com") || url.includes("youtu.be");
-        const cookiesPath = getCookiesPath(isYouTube ? "youtube" : "other");
+        const cookiesPath = getCookiesPath(url);
 
         console.log(`⚡ [Direct Link] Extracting ${format} URL for: ${url}`);
 
@@ -415,6 +693,7 @@ export async function getDirectDownloadLink(url, format = "video") {
         const output = await ytDlp(
           url,
           {
+            ...getPlatform(url)?.ytDlpOptions,
             dumpSingleJson: true,
             noWarnings: true,
             noPlaylist: true,
@@ -504,113 +783,472 @@ export async function getDirectDownloadLink(url, format = "video") {
   ); // 3 retries, 2s base delay
 }
 
+// In-flight downloads keyed by cache prefix (media ID + format + quality)
+// Concurrent requests for the same media wait on a single yt-dlp run
+const inFlightDownloads = new Map();
+
+// Files yt-dlp writes while working, never a finished download:
+// .part/.ytdl/.part-FragN while downloading, .fNNN streams and .temp files while merging
+const PARTIAL_FILE_PATTERN =
+  /\.(part|ytdl)$|\.part-Frag\d+$|\.temp\.\w+$|\.f\d+(-\w+)?\.\w+$/;
+
+/**
+ * Find a finished download in temp/ (partial files are ignored)
+ * @param {string} tempDir
+ * @param {string} prefix - Cache prefix of the download
+ * @returns {string|undefined} - Filename
+ */
+export function findCompleteDownload(tempDir, prefix) {
+  return fs
+    .readdirSync(tempDir)
+    .find((file) => file.startsWith(prefix) && !PARTIAL_FILE_PATTERN.test(file));
+}
+
+/**
+ * Build the fetchMedia result for a file in temp/
+ * @param {string} tempDir
+ * @param {string} prefix - Cache prefix of the download
+ * @param {string} file - Filename
+ * @returns {{ filePath: string, title: string }}
+ */
+function toDownloadResult(tempDir, prefix, file) {
+  return {
+    filePath: path.join(tempDir, file),
+    title: file.replace(prefix, "").split(".").slice(0, -1).join("."),
+  };
+}
+
+/**
+ * Build the downloadMedia result for a cache entry
+ * @param {Object} entry - Cache entry (pinned for the caller)
+ * @returns {{ filePath: string, title: string, mediaId: string, cacheKey: string, offset: number }}
+ */
+function toMediaResult(entry) {
+  return {
+    filePath: entry.filePath,
+    title: entry.filename.split(".").slice(0, -1).join("."),
+    mediaId: entry.sourceId,
+    cacheKey: entry.key,
+    // Section downloads start later in the media: position of the file's 0:00
+    offset: entry.info?.sectionStart || 0,
+  };
+}
+
+// Extra seconds downloaded around a section, so the exact cut done by ffmpeg
+// never falls outside the keyframes yt-dlp had to start from
+const SECTION_PADDING_SECONDS = 5;
+
+/**
+ * Start a download that several requests can wait on
+ * @param {string} cachePrefix - Key of the download
+ * @param {Function} run - Called with { onProgress, signal }, resolves with a pinned cache entry
+ * @returns {Object} - Shared download
+ */
+function startSharedDownload(cachePrefix, run) {
+  const shared = {
+    cachePrefix,
+    abortController: new AbortController(),
+    subscribers: new Set(),
+  };
+
+  // Fan progress out to every waiting request
+  const onProgress = (progress) => {
+    for (const subscriber of shared.subscribers) {
+      if (subscriber.onProgress) subscriber.onProgress(progress);
+    }
+  };
+
+  shared.promise = run({ onProgress, signal: shared.abortController.signal })
+    .finally(() => {
+      if (inFlightDownloads.get(cachePrefix) === shared) {
+        inFlightDownloads.delete(cachePrefix);
+      }
+    });
+
+  // Subscribers pin the entry for themselves: drop the download's own pin once they did
+  shared.promise.then(
+    (entry) => setImmediate(() => releaseCacheEntry(entry.key)),
+    () => {}, // Errors are handled by each subscriber
+  );
+
+  inFlightDownloads.set(cachePrefix, shared);
+  return shared;
+}
+
+/**
+ * Wait for a shared download
+ * A subscriber that cancels stops waiting; the download itself is only
+ * aborted (and its partial files removed) once every subscriber is gone.
+ * @param {Object} shared - From startSharedDownload
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Object>} - See toMediaResult
+ */
+function joinSharedDownload(shared, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    const subscriber = { onProgress };
+    shared.subscribers.add(subscriber);
+
+    const leave = () => {
+      shared.subscribers.delete(subscriber);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    const onAbort = () => {
+      leave();
+
+      if (shared.subscribers.size === 0) {
+        // Nobody left: new requests must start over instead of joining a dying download
+        if (inFlightDownloads.get(shared.cachePrefix) === shared) {
+          inFlightDownloads.delete(shared.cachePrefix);
+        }
+        shared.abortController.abort();
+      }
+
+      reject(createCancelledError());
+    };
+
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    shared.promise.then(
+      (entry) => {
+        leave();
+        pinCacheEntry(entry.key);
+        resolve(toMediaResult(entry));
+      },
+      (error) => {
+        leave();
+        reject(error);
+      },
+    );
+  });
+}
+
+/**
+ * Resolve shortened URLs (vt.tiktok.com, vm.tiktok.com) so that short
+ * and full links share one media ID
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function resolveShortLink(url) {
+  if (!isShortLink(url)) {
+    return url;
+  }
+
+  console.log(`Resolving ${getPlatform(url).name} short link...`);
+  const resolved = await resolveRedirect(url);
+  try {
+    const urlObj = new URL(resolved);
+    urlObj.search = "";
+    console.log("Cleaned resolved URL:", urlObj.toString());
+    return urlObj.toString();
+  } catch (e) {
+    return resolved;
+  }
+}
+
+/**
+ * Canonical media ID of a URL (cache key of its downloads and conversions)
+ * @param {string} url
+ * @param {Object} [options] - { match }: YouTube video picked for a Spotify track
+ * @returns {Promise<string>}
+ */
+export async function getMediaId(url, { match = null } = {}) {
+  return getVideoId(await resolveShortLink(url), match);
+}
+
 /**
  * Download Media using yt-dlp with retry logic (with Smart Caching)
+ * Finished downloads live in the media cache (see cacheService) and identical
+ * downloads running at the same time are coalesced into one.
+ * The returned file is pinned in the cache: call releaseCacheEntry(cacheKey) when done.
  * @param {string} url
  * @param {string} format 'audio' or 'video'
  * @param {string} qualityTarget 'best' (1080p+), 'standard' (720p/1080p)
- * @returns {Promise<{ filePath: string, title: string }>}
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { percent, speed, eta }
+ * @param {AbortSignal} [options.signal] - Stops waiting for the download (see joinSharedDownload)
+ * @param {Object} [options.section] - { start, end } in seconds: only fetch this part of the media
+ *   (plus a few seconds of margin). The result's `offset` tells where the file starts in the media.
+ * @param {string} [options.container] - Video container: 'mp4' (default), 'webm', 'mkv' or 'mov'
+ * @param {string} [options.match] - YouTube video picked for a Spotify track (see resolveDownloadSource)
+ * @returns {Promise<{ filePath: string, title: string, mediaId: string, cacheKey: string, offset: number }>}
  */
 export async function downloadMedia(
   url,
   format = "audio",
   qualityTarget = "best",
+  { onProgress, signal, section = null, container = "mp4", match = null } = {},
 ) {
-  return retryWithBackoff(
-    async () => {
-      const tempDir = path.join(__dirname, "../../temp");
+  throwIfCancelled(signal);
 
-      // Ensure temp directory exists
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
+  const tempDir = path.join(__dirname, "../../temp");
 
-      // Resolve TikTok short links
-      if (url.includes("vt.tiktok.com") || url.includes("vm.tiktok.com")) {
-        console.log("Resolving TikTok short link for download...");
-        const resolved = await resolveRedirect(url);
-        try {
-          const urlObj = new URL(resolved);
-          urlObj.search = "";
-          url = urlObj.toString();
-          console.log("Cleaned resolved URL:", url);
-        } catch (e) {
-          url = resolved;
-        }
-      }
+  // Ensure temp directory exists
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
 
-      let cleanUrl = url;
-      let spotifyMetadata = null;
-
-      // Handle Spotify track download
-      if (url.includes("spotify.com")) {
-        console.log("Detected Spotify URL for download, fetching metadata...");
-        const { getSpotifyMetadata } = await import("./spotifyHelper.js");
-        spotifyMetadata = await getSpotifyMetadata(url);
-        // Search on YouTube and download the first result
-        cleanUrl = `ytsearch1:${spotifyMetadata.artist} - ${spotifyMetadata.title}`;
-        console.log(`Searching and downloading from YouTube: ${cleanUrl}`);
-      }
+  url = await resolveShortLink(url);
+
+  // Generate video ID for caching
+  const videoId = getVideoId(url, match);
+
+  // === SMART CACHING: Check if we already downloaded this video IN THIS QUALITY ===
+  // We include format and qualityTarget to distinguish audio, 4k, best (1080p) and standard (720p)
+  // (MP4 keys have no container suffix, as before other containers existed)
+  const fullVariant =
+    format === "video" && container !== "mp4"
+      ? `${format}_${qualityTarget}_${container}`
+      : `${format}_${qualityTarget}`;
+  let cachedEntry = getCacheEntry({ sourceId: videoId, kind: "download", variant: fullVariant });
+
+  // Sections: the full download contains them, otherwise look for the same section
+  let variant = fullVariant;
+  let sectionRange = null;
+  if (section && !cachedEntry) {
+    sectionRange = {
+      start: Math.max(0, section.start - SECTION_PADDING_SECONDS),
+      end: section.end === null ? null : section.end + SECTION_PADDING_SECONDS,
+    };
+    variant = `${fullVariant}_section${sectionRange.start}-${sectionRange.end ?? "end"}`;
+    cachedEntry = getCacheEntry({ sourceId: videoId, kind: "download", variant });
+  }
 
-      // Generate video ID for caching
-      const videoId = getVideoId(url);
-
-      // Detect platform and get cookies path (YouTube disabled by design)
-      const isYouTube = url.includes("youtube.com") || url.includes("youtu.be");
-      const cookiesPath = getCookiesPath(isYouTube ? "youtube" : "other");
-
-      // Cleanup URL specifically for YouTube to avoid playlist issues
-      if (isYouTube) {
-        try {
-          const urlObj = new URL(url);
-          urlObj.searchParams.delete("list");
-          urlObj.searchParams.delete("index");
-          urlObj.searchParams.delete("pp");
-          cleanUrl = urlObj.toString();
-        } catch (e) {
-          // ignore
-        }
-      }
+  if (cachedEntry) {
+    // Found cached file! Reuse it
+    console.log(
+      `🚀 [CACHE HIT] Reusing existing download (${qualityTarget}): ${cachedEntry.filename}`,
+    );
+    if (onProgress) onProgress({ percent: 100, speed: null, eta: 0 });
+    return toMediaResult(cachedEntry);
+  }
 
-      // === SMART CACHING: Check if we already downloaded this video IN THIS QUALITY ===
-      // We include qualityTarget to distinguish between 4k, best (1080p), and standard (720p)
-      const cachedFiles = fs
-        .readdirSync(tempDir)
-        .filter((file) => file.startsWith(`${videoId}_${qualityTarget}_`));
-
-      if (cachedFiles.length > 0) {
-        // Found cached file! Reuse it
-        const cachedFile = cachedFiles[0];
-        const filePath = path.join(tempDir, cachedFile);
-        console.log(
-          `🚀 [CACHE HIT] Reusing existing download (${qualityTarget}): ${cachedFile}`,
-        );
+  // === COALESCING: Same media already downloading? Wait for it ===
+  const cachePrefix = getDownloadPrefix(videoId, variant);
+  let shared = inFlightDownloads.get(cachePrefix);
+
+  if (shared) {
+    console.log(
+      `🤝 [CACHE JOIN] Waiting for in-flight download (${qualityTarget}): ${videoId}`,
+    );
+  } else {
+    // === NO CACHE: Download fresh ===
+    console.log(
+      `📥 [CACHE MISS] Downloading fresh (${qualityTarget}): ${videoId}`,
+    );
+    shared = startSharedDownload(cachePrefix, async (downloadOptions) => {
+      const { filePath } = await fetchMedia(url, format, qualityTarget, {
+        tempDir,
+        cachePrefix,
+        sectionRange,
+        container,
+        match,
+        ...downloadOptions,
+      });
+
+      return addToCache(filePath, {
+        sourceId: videoId,
+        kind: "download",
+        variant,
+        codec: path.extname(filePath).slice(1),
+        filename: path.basename(filePath).replace(cachePrefix, ""),
+        info: sectionRange
+          ? { sectionStart: sectionRange.start, sectionEnd: sectionRange.end }
+          : null,
+      });
+    });
+  }
 
-        return {
-          filePath,
-          title: cachedFile
-            .replace(`${videoId}_${qualityTarget}_`, "")
-            .split(".")
-            .slice(0, -1)
-            .join("."),
-        };
-      }
+  return joinSharedDownload(shared, { onProgress, signal });
+}
 
-      // === NO CACHE: Download fresh ===
-      console.log(
-        `📥 [CACHE MISS] Downloading fresh (${qualityTarget}): ${videoId}`,
-      );
+/**
+ * Download the subtitles of a media in one language, as WebVTT (with caching)
+ * Manual subtitles are preferred, auto-generated captions are the fallback.
+ * The returned file is pinned in the cache: call releaseCacheEntry(cacheKey) when done.
+ * @param {string} url
+ * @param {string} lang - Language code, e.g. 'en'
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<{ filePath: string, cacheKey: string }>}
+ * @throws {Error} - SUBTITLES_NOT_FOUND if the media has no subtitles in that language
+ */
+export async function downloadSubtitles(url, lang, { signal } = {}) {
+  throwIfCancelled(signal);
+
+  const tempDir = path.join(__dirname, "../../temp");
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  url = await resolveShortLink(url);
+  const videoId = getVideoId(url);
+  const variant = `subtitles_${lang}`;
+
+  const cachedEntry = getCacheEntry({ sourceId: videoId, kind: "download", variant });
+  if (cachedEntry) {
+    console.log(`🚀 [CACHE HIT] Reusing ${lang} subtitles: ${videoId}`);
+    return { filePath: cachedEntry.filePath, cacheKey: cachedEntry.key };
+  }
+
+  const cachePrefix = getDownloadPrefix(videoId, variant);
+
+  console.log(`💬 [yt-dlp] Downloading ${lang} subtitles: ${videoId}`);
+  await runYtDlp(
+    url,
+    {
+      ...getPlatform(url)?.ytDlpOptions,
+      output: path.join(tempDir, `${cachePrefix}subtitles.%(ext)s`),
+      skipDownload: true,
+      writeSubs: true,
+      writeAutoSubs: true,
+      subLangs: lang,
+      subFormat: "vtt/best",
+      convertSubs: "vtt", // No-op when the platform already serves WebVTT
+      noWarnings: true,
+      noPlaylist: true,
+      cookies: getCookiesPath(url),
+    },
+    { signal },
+  );
+
+  const file = fs
+    .readdirSync(tempDir)
+    .find((name) => name.startsWith(cachePrefix) && name.endsWith(".vtt"));
+
+  if (!file) {
+    const error = new Error(`No ${lang} subtitles available for this media`);
+    error.code = "SUBTITLES_NOT_FOUND";
+    error.status = 404;
+    throw error;
+  }
+
+  const entry = addToCache(path.join(tempDir, file), {
+    sourceId: videoId,
+    kind: "download",
+    variant,
+    codec: "vtt",
+    filename: `subtitles.${lang}.vtt`,
+  });
+
+  return { filePath: entry.filePath, cacheKey: entry.key };
+}
+
+/**
+ * What yt-dlp should download for a media URL
+ * Platforms can replace it (Spotify tracks are matched to a YouTube video) or clean it
+ * (YouTube URLs lose their playlist parameters).
+ * @param {string} url
+ * @param {Object} [options] - { match }: YouTube video picked by the user instead of the best match
+ * @returns {Promise<{ cleanUrl: string, sourceMetadata: Object|null, platform: Object|null, match: Object|null, alternatives: Array<Object> }>}
+ *   sourceMetadata: { title, artist, album, year, thumbnail } given by the platform, overriding yt-dlp's
+ *   match/alternatives: { id, url, title, channel, duration, confidence } of the video used and the other candidates
+ */
+async function resolveDownloadSource(url, { match = null } = {}) {
+  const platform = getPlatform(url);
+
+  if (platform?.resolveSource) {
+    const source = await platform.resolveSource(url, { match });
+    return {
+      cleanUrl: source.url,
+      sourceMetadata: source.metadata,
+      platform,
+      match: source.match || null,
+      alternatives: source.alternatives || [],
+    };
+  }
+
+  const cleanUrl = platform?.normalizeUrl ? platform.normalizeUrl(parseMediaUrl(url)) : url;
+  return { cleanUrl, sourceMetadata: null, platform, match: null, alternatives: [] };
+}
 
-      // Use Spotify title for filename if available
-      const filenameTemplate = spotifyMetadata
-        ? sanitizeFilename(spotifyMetadata.title)
+/**
+ * Stream the best audio of a media from yt-dlp's stdout, without writing it to disk
+ * Used by streaming conversions: the stream is encoded while it downloads.
+ * @param {string} url - Media URL
+ * @param {Object} [options] - { signal } kills yt-dlp when aborted, { match } = YouTube video picked for a Spotify track
+ * @returns {Promise<{ stream: import('stream').Readable, done: Promise<void> }>}
+ *   done settles when yt-dlp exits (rejects if it failed)
+ */
+export async function streamAudioSource(url, { signal, match = null } = {}) {
+  throwIfCancelled(signal);
+
+  const { cleanUrl, platform } = await resolveDownloadSource(url, { match });
+  throwIfCancelled(signal);
+
+  console.log(`🎬 [yt-dlp] Streaming audio: ${cleanUrl}`);
+  const subprocess = ytDlp.exec(
+    cleanUrl,
+    {
+      ...platform?.ytDlpOptions,
+      output: "-",
+      format: "bestaudio",
+      quiet: true, // stdout carries the media, errors still go to stderr
+      noWarnings: true,
+      noPlaylist: true,
+      cookies: getCookiesPath(url),
+    },
+    {
+      detached: process.platform !== "win32",
+      buffer: false, // The media must not pile up in memory
+      stdio: ["ignore", "pipe", "inherit"],
+    },
+  );
+
+  const onAbort = () => killProcessTree(subprocess);
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  const done = subprocess
+    .then(
+      () => console.log(`✅ [yt-dlp] Stream complete: ${cleanUrl}`),
+      (error) => {
+        if (signal && signal.aborted) throw createCancelledError();
+        throw new Error(`Failed to stream media (yt-dlp exited with code ${error.exitCode})`);
+      },
+    )
+    .finally(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+    });
+
+  return { stream: subprocess.stdout, done };
+}
+
+/**
+ * Run the actual yt-dlp download into temp/ (retried on bot detection)
+ * @param {string} url
+ * @param {string} format 'audio' or 'video'
+ * @param {string} qualityTarget
+ * @param {Object} options - { tempDir, cachePrefix, sectionRange, container, match, onProgress, signal }
+ *   sectionRange ({ start, end }, end null = until the end) limits the download to that part
+ *   container ('mp4', 'webm', 'mkv', 'mov') is the video file yt-dlp merges into
+ *   match is the YouTube video picked for a Spotify track
+ * @returns {Promise<{ filePath: string, title: string }>}
+ */
+async function fetchMedia(
+  url,
+  format,
+  qualityTarget,
+  { tempDir, cachePrefix, sectionRange = null, container = "mp4", match = null, onProgress, signal },
+) {
+  return retryWithBackoff(
+    async () => {
+      throwIfCancelled(signal);
+
+      const { cleanUrl, sourceMetadata, platform } = await resolveDownloadSource(url, { match });
+
+      // Cookies path (disabled on YouTube by design, see getCookiesPath)
+      const cookiesPath = getCookiesPath(url);
+
+      // Use the platform's title (Spotify) for filename if available
+      const filenameTemplate = sourceMetadata
+        ? sanitizeFilename(sourceMetadata.title)
         : "%(title).100B";
       const outputTemplate = path.join(
         tempDir,
-        `${videoId}_${qualityTarget}_${filenameTemplate}.%(ext)s`,
+        `${cachePrefix}${filenameTemplate}.%(ext)s`,
       );
 
       const options = {
+        ...platform?.ytDlpOptions,
         output: outputTemplate,
         noWarnings: true,
         noPlaylist: true, // Critical: Ensure we only download the video, not the playlist
@@ -626,10 +1264,18 @@ export async function downloadMedia(
         // 'best' = Try to get 1440p/2K/4K if available (Overshooting for crisp 1080p result)
         // 'standard' = Try to get 1080p (Overshooting for crisp 720p result)
 
-        if (qualityTarget === "4k") {
+        if (container === "webm") {
+          // === WEBM: original VP9/AV1 + Opus streams, no re-encoding ===
+          options.format =
+            "bestvideo[vcodec~='^(vp0?9|av01)']+bestaudio[acodec=opus]/best[ext=webm]";
+        } else if (container === "mov") {
+          // === MOV (editors): H.264 + AAC only, up to 1080p, remuxed as is ===
+          options.format =
+            "bestvideo[height<=1080][vcodec^=avc1]+bestaudio[acodec^=mp4a]/best[height<=1080][vcodec^=avc1][acodec^=mp4a]";
+        } else if (qualityTarget === "4k") {
           // === PRO MODE (4K/2K/8K) ===
           // Just get the absolute best, regardless of codec (likely AV1/VP9).
-          // Max Quality, but might need VLC to play.
+          // Max Quality, but might need VLC to play (use MKV/WebM to keep these codecs in a fitting container).
           options.format = "bestvideo+bestaudio/best";
         } else if (qualityTarget === "best") {
           // === COMPATIBILITY MODE (1080p) ===
@@ -644,38 +1290,38 @@ export async function downloadMedia(
             "bestvideo[height<=720][vcodec^=avc1]+bestaudio[acodec^=mp4a]/bestvideo[height<=720][vcodec^=avc1]+bestaudio/bestvideo[height<=720]+bestaudio/best";
         }
 
-        options.mergeOutputFormat = "mp4"; // This triggers the fast ffmpeg merge
+        options.mergeOutputFormat = container; // This triggers the fast ffmpeg merge
+      }
+
+      // Only fetch the requested part (cut at keyframes, ffmpeg does the exact cut later)
+      if (sectionRange) {
+        options.downloadSections = `*${sectionRange.start}-${sectionRange.end ?? "inf"}`;
       }
 
       try {
         console.log(`🎬 [yt-dlp] Starting download: ${cleanUrl}`);
 
-        // yt-dlp-exec returns a promise that resolves when the process exits
-        await ytDlp(cleanUrl, options);
+        // Resolves when the yt-dlp process exits
+        await runYtDlp(cleanUrl, options, { onProgress, signal });
 
-        // Find the downloaded file
-        const files = fs.readdirSync(tempDir);
-        // Look for files starting with our videoId and qualityTarget
-        const downloadedFile = files.find((file) =>
-          file.startsWith(`${videoId}_${qualityTarget}_`),
-        );
+        // Find the downloaded file (merged output, not the intermediate streams)
+        const downloadedFile = findCompleteDownload(tempDir, cachePrefix);
 
         if (!downloadedFile) {
           throw new Error("Download finished but file not found");
         }
 
-        const filePath = path.join(tempDir, downloadedFile);
-        console.log(`✅ [yt-dlp] Download complete: ${filePath}`);
-
-        return {
-          filePath,
-          title: downloadedFile
-            .replace(`${videoId}_${qualityTarget}_`, "")
-            .split(".")
-            .slice(0, -1)
-            .join("."),
-        };
+        const result = toDownloadResult(tempDir, cachePrefix, downloadedFile);
+        console.log(`✅ [yt-dlp] Download complete: ${result.filePath}`);
+        return result;
       } catch (error) {
+        // Cancelled: remove partial files (.part, unmerged streams) and stop here
+        if (error.code === "JOB_CANCELLED") {
+          console.log(`🛑 [yt-dlp] Download cancelled: ${cachePrefix}`);
+          deletePartialDownloads(tempDir, cachePrefix);
+          throw error;
+        }
+
         console.error("❌ [yt-dlp] Download Error:", error.message);
 
         // Check if it's an age-restricted or sign-in required error for YouTube
@@ -685,38 +1331,31 @@ export async function downloadMedia(
           error.message.includes("members-only") ||
           error.message.includes("private video");
 
-        // FALLBACK STRATEGY: If YouTube video needs authentication, retry with cookies
-        if (isYouTube && isAgeRestricted && !cookiesPath) {
+        // FALLBACK STRATEGY: If a YouTube video needs authentication, retry with cookies
+        if (platform?.cookies === "fallback" && isAgeRestricted && !cookiesPath) {
           console.log("🔁 Video requires authentication, retrying with cookies...");
 
           // Retry with cookies forced
-          const cookiesPathForced = getCookiesPath("youtube", true);
+          const cookiesPathForced = getCookiesPath(url, true);
           if (cookiesPathForced) {
             options.cookies = cookiesPathForced;
 
             try {
-              await ytDlp(cleanUrl, options);
+              await runYtDlp(cleanUrl, options, { onProgress, signal });
 
               // Find the downloaded file
-              const files = fs.readdirSync(tempDir);
-              const downloadedFile = files.find((file) =>
-                file.startsWith(`${videoId}_${qualityTarget}_`),
-              );
+              const downloadedFile = findCompleteDownload(tempDir, cachePrefix);
 
               if (downloadedFile) {
-                const filePath = path.join(tempDir, downloadedFile);
-                console.log(`✅ [yt-dlp] Download complete with cookies: ${filePath}`);
-
-                return {
-                  filePath,
-                  title: downloadedFile
-                    .replace(`${videoId}_${qualityTarget}_`, "")
-                    .split(".")
-                    .slice(0, -1)
-                    .join("."),
-                };
+                const result = toDownloadResult(tempDir, cachePrefix, downloadedFile);
+                console.log(`✅ [yt-dlp] Download complete with cookies: ${result.filePath}`);
+                return result;
               }
             } catch (retryError) {
+              if (retryError.code === "JOB_CANCELLED") {
+                deletePartialDownloads(tempDir, cachePrefix);
+                throw retryError;
+              }
               console.error("❌ Retry with cookies also failed:", retryError.message);
               throw new Error("Failed to download video even with authentication");
             }
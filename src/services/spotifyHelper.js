@@ -1,21 +1,370 @@
 import { fetch } from 'undici';
 import creators from 'spotify-url-info';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
 const spotify = creators(fetch);
 
-export async function getSpotifyMetadata(url) {
-  try {
-    const data = await spotify.getData(url);
-    const durationMs = data.duration || data.duration_ms || 0;
-    const images = data.visualIdentity?.image || data.images || data.coverArt?.sources || [];
-    
+/**
+ * Spotify metadata of tracks, podcast episodes, albums and playlists
+ * With SPOTIFY_CLIENT_ID / SPOTIFY_CLIENT_SECRET the Web API gives the full
+ * metadata (ISRC, track numbers...); without them, or when it fails, the public
+ * embed page is read instead (no ISRC, no album or track number for single tracks).
+ * Lookups are kept in memory for SPOTIFY_CACHE_TTL_SECONDS: /api/info and the
+ * conversion that follows fetch the same track.
+ */
+
+const API_URL = 'https://api.spotify.com/v1';
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Episodes are only returned for a market with client credentials
+const SPOTIFY_MARKET = process.env.SPOTIFY_MARKET || 'US';
+// How long lookups are kept (default 1 hour)
+const CACHE_TTL_MS = (parseInt(process.env.SPOTIFY_CACHE_TTL_SECONDS) || 3600) * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+// Max tracks listed per album/playlist
+const MAX_COLLECTION_TRACKS = parseInt(process.env.MAX_PLAYLIST_ITEMS) || 50;
+
+const lookups = new Map(); // key -> { promise, expiresAt }
+let accessToken = null; // { value, expiresAt }
+
+/**
+ * Run a lookup once per SPOTIFY_CACHE_TTL_SECONDS
+ * Concurrent calls share the same lookup; failed lookups are not kept.
+ * @param {string} key
+ * @param {Function} load - async () => value, run on a miss
+ * @returns {Promise<any>}
+ */
+export function cachedSpotifyLookup(key, load) {
+  const now = Date.now();
+  const cached = lookups.get(key);
+  if (cached && cached.expiresAt > now) return cached.promise;
+
+  const promise = load();
+  storeLookup(key, promise);
+  promise.catch(() => {
+    if (lookups.get(key)?.promise === promise) lookups.delete(key);
+  });
+  return promise;
+}
+
+function storeLookup(key, promise) {
+  lookups.delete(key); // Re-inserted last: the Map stays ordered oldest first
+  lookups.set(key, { promise, expiresAt: Date.now() + CACHE_TTL_MS });
+  if (lookups.size > CACHE_MAX_ENTRIES) lookups.delete(lookups.keys().next().value);
+}
+
+/**
+ * Type and ID of a Spotify URL (optional locale prefix: /intl-fr/track/ID)
+ * @param {string} url
+ * @returns {{ type: string, id: string }} - type: 'track' | 'episode' | 'album' | 'playlist'
+ */
+function parseSpotifyUrl(url) {
+  const match = new URL(url).pathname.match(/^(?:\/intl-[a-z-]+)?\/(track|episode|album|playlist)\/([A-Za-z0-9]+)/);
+  if (!match) throw new Error(`Unsupported Spotify URL: ${url}`);
+  return { type: match[1], id: match[2] };
+}
+
+function getOpenUrl(type, id) {
+  return `https://open.spotify.com/${type}/${id}`;
+}
+
+function getLargestImage(images = []) {
+  return [...images].sort((a, b) => (b.width || b.maxWidth || 0) - (a.width || a.maxWidth || 0))[0]?.url || null;
+}
+
+// '2004-06-07' / '2004' -> '2004'
+function getYear(releaseDate) {
+  return releaseDate ? releaseDate.slice(0, 4) : null;
+}
+
+/**
+ * Web API access token (client credentials), renewed shortly before it expires
+ * @returns {Promise<string|null>} - null when no credentials are configured
+ */
+async function getAccessToken() {
+  const { SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET } = process.env;
+  if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) return null;
+  if (accessToken && accessToken.expiresAt > Date.now()) return accessToken.value;
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+  if (!response.ok) throw new Error(`Spotify token request failed: ${response.status}`);
+
+  const data = await response.json();
+  accessToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+  return accessToken.value;
+}
+
+/**
+ * GET a Web API endpoint
+ * @param {string} path - e.g. '/tracks/ID'
+ * @param {string} token
+ * @returns {Promise<Object>}
+ */
+async function callApi(path, token) {
+  const response = await fetch(`${API_URL}${path}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok) throw new Error(`Spotify API ${path.split('?')[0]} failed: ${response.status}`);
+  return response.json();
+}
+
+/**
+ * @param {Object} track - Web API track object
+ * @param {Object} [album] - Album of the track, when the track object lacks it (album endpoint)
+ * @returns {Object} - Spotify metadata (see getSpotifyMetadata)
+ */
+function fromApiTrack(track, album = track.album) {
+  const artists = (track.artists || []).map((artist) => artist.name);
+
+  return {
+    type: 'track',
+    title: track.name,
+    artist: artists.join(', ') || 'Unknown Artist',
+    artists,
+    album: album?.name || null,
+    trackNumber: track.track_number || null,
+    releaseDate: album?.release_date || null,
+    year: getYear(album?.release_date),
+    isrc: track.external_ids?.isrc || null,
+    duration: Math.round((track.duration_ms || 0) / 1000),
+    thumbnail: getLargestImage(album?.images),
+    url: getOpenUrl('track', track.id)
+  };
+}
+
+/**
+ * @param {Object} episode - Web API episode object
+ * @returns {Object} - Spotify metadata (see getSpotifyMetadata): the show is the artist and album
+ */
+function fromApiEpisode(episode) {
+  const show = episode.show?.name || null;
+
+  return {
+    type: 'episode',
+    title: episode.name,
+    artist: show || 'Unknown Artist',
+    artists: show ? [show] : [],
+    album: show,
+    trackNumber: null,
+    releaseDate: episode.release_date || null,
+    year: getYear(episode.release_date),
+    isrc: null,
+    duration: Math.round((episode.duration_ms || 0) / 1000),
+    thumbnail: getLargestImage(episode.images),
+    url: getOpenUrl('episode', episode.id)
+  };
+}
+
+/**
+ * Cache the tracks of a collection, so converting its entries needs no other lookup
+ * @param {Array<Object>} tracks - Complete Web API metadata (embed entries lack covers)
+ */
+function primeTrackLookups(tracks) {
+  for (const track of tracks) {
+    const { type, id } = parseSpotifyUrl(track.url);
+    storeLookup(`${type}:${id}`, Promise.resolve(track));
+  }
+}
+
+/**
+ * Album or playlist from the Web API, tracks with their ISRC
+ * @param {string} type - 'album' | 'playlist'
+ * @param {string} id
+ * @param {string} token
+ * @returns {Promise<Object>} - See getSpotifyCollection
+ */
+async function getApiCollection(type, id, token) {
+  if (type === 'album') {
+    const album = await callApi(`/albums/${id}?market=${SPOTIFY_MARKET}`, token);
+    const items = [...album.tracks.items];
+    for (let next = album.tracks.next; next && items.length < MAX_COLLECTION_TRACKS;) {
+      const page = await callApi(next.slice(API_URL.length), token);
+      items.push(...page.items);
+      next = page.next;
+    }
+    const ids = items.slice(0, MAX_COLLECTION_TRACKS).map((track) => track.id);
+
+    // Album tracks come without their ISRC: fetch the full tracks (50 per request)
+    const fullTracks = [];
+    for (let i = 0; i < ids.length; i += 50) {
+      const page = await callApi(`/tracks?ids=${ids.slice(i, i + 50).join(',')}&market=${SPOTIFY_MARKET}`, token);
+      fullTracks.push(...page.tracks.filter(Boolean));
+    }
+
     return {
-      title: data.name || data.title,
-      artist: data.artists?.[0]?.name || 'Unknown Artist',
-      duration: Math.round(durationMs / 1000),
-      thumbnail: images.sort((a, b) => (b.maxWidth || 0) - (a.maxWidth || 0))[0]?.url,
+      title: album.name,
+      author: album.artists.map((artist) => artist.name).join(', '),
+      thumbnail: getLargestImage(album.images),
+      total: album.tracks.total,
+      tracks: fullTracks.map((track) => fromApiTrack(track, album))
     };
+  }
+
+  const playlist = await callApi(`/playlists/${id}?market=${SPOTIFY_MARKET}&fields=name,owner(display_name),images,tracks(total)`, token);
+  const items = [];
+  while (items.length < MAX_COLLECTION_TRACKS) {
+    const page = await callApi(
+      `/playlists/${id}/tracks?market=${SPOTIFY_MARKET}&additional_types=track,episode&limit=100&offset=${items.length}`,
+      token
+    );
+    items.push(...page.items);
+    if (!page.next || page.items.length === 0) break;
+  }
+
+  // Local files and unavailable items have no track
+  const tracks = items
+    .slice(0, MAX_COLLECTION_TRACKS)
+    .map((item) => item.track)
+    .filter((track) => track && track.id)
+    .map((track) => (track.type === 'episode' ? fromApiEpisode(track) : fromApiTrack(track)));
+
+  return {
+    title: playlist.name,
+    author: playlist.owner?.display_name || 'Unknown Artist',
+    thumbnail: getLargestImage(playlist.images),
+    total: playlist.tracks.total,
+    tracks
+  };
+}
+
+/**
+ * Track or episode from its embed page (no ISRC, album or track number)
+ * @param {string} type - 'track' | 'episode'
+ * @param {string} id
+ * @returns {Promise<Object>} - See getSpotifyMetadata
+ */
+async function getEmbedMetadata(type, id) {
+  const data = await spotify.getData(getOpenUrl(type, id));
+  const releaseDate = data.releaseDate?.isoString?.slice(0, 10) || null;
+  const artists = type === 'episode'
+    ? [data.subtitle].filter(Boolean) // The show
+    : (data.artists || []).map((artist) => artist.name);
+
+  return {
+    type,
+    title: data.name || data.title,
+    artist: artists.join(', ') || 'Unknown Artist',
+    artists,
+    album: type === 'episode' ? data.subtitle || null : null,
+    trackNumber: null,
+    releaseDate,
+    year: getYear(releaseDate),
+    isrc: null,
+    duration: Math.round((data.duration || 0) / 1000),
+    thumbnail: getLargestImage(data.visualIdentity?.image || data.coverArt?.sources || data.images),
+    url: getOpenUrl(type, id)
+  };
+}
+
+/**
+ * Album or playlist from its embed page (track numbers by position for albums)
+ * @param {string} type - 'album' | 'playlist'
+ * @param {string} id
+ * @returns {Promise<Object>} - See getSpotifyCollection
+ */
+async function getEmbedCollection(type, id) {
+  const data = await spotify.getData(getOpenUrl(type, id));
+  const releaseDate = data.releaseDate?.isoString?.slice(0, 10) || null;
+  const trackList = data.trackList || [];
+
+  return {
+    title: data.name || data.title,
+    author: data.subtitle || data.artists?.[0]?.name || 'Unknown Artist',
+    thumbnail: getLargestImage(data.visualIdentity?.image || data.coverArt?.sources || data.images),
+    total: trackList.length,
+    tracks: trackList.slice(0, MAX_COLLECTION_TRACKS).map((track, index) => {
+      // spotify:track:ID -> track, ID
+      const [, trackType, trackId] = track.uri.split(':');
+      const artists = (track.subtitle || '').split(', ').filter(Boolean);
+
+      return {
+        type: trackType,
+        title: track.title,
+        artist: artists.join(', ') || 'Unknown Artist',
+        artists,
+        album: type === 'album' ? data.name : null,
+        trackNumber: type === 'album' ? index + 1 : null,
+        releaseDate: type === 'album' ? releaseDate : null,
+        year: type === 'album' ? getYear(releaseDate) : null,
+        isrc: null,
+        duration: Math.round((track.duration || 0) / 1000),
+        thumbnail: null,
+        url: getOpenUrl(trackType, trackId)
+      };
+    })
+  };
+}
+
+/**
+ * Web API lookup when configured, the embed page otherwise (or if the API fails)
+ * @param {Function} fromApi - async (token) => value
+ * @param {Function} fromEmbed - async () => value
+ * @returns {Promise<any>}
+ */
+async function withApiFallback(fromApi, fromEmbed) {
+  try {
+    const token = await getAccessToken();
+    if (token) return await fromApi(token);
+  } catch (error) {
+    console.warn('⚠️ Spotify API unavailable, reading the embed page:', error.message);
+  }
+  return fromEmbed();
+}
+
+/**
+ * Get the metadata of a Spotify track or podcast episode (cached)
+ * @param {string} url - open.spotify.com/track/... or /episode/...
+ * @returns {Promise<Object>} - { type, title, artist, artists, album, trackNumber, releaseDate, year,
+ *   isrc, duration, thumbnail, url }; artist = every artist, comma-separated (the show for episodes);
+ *   values Spotify doesn't give are null
+ */
+export async function getSpotifyMetadata(url) {
+  try {
+    const { type, id } = parseSpotifyUrl(url);
+    if (type !== 'track' && type !== 'episode') throw new Error(`Not a track or episode: ${url}`);
+
+    return await cachedSpotifyLookup(`${type}:${id}`, () => withApiFallback(
+      async (token) => type === 'track'
+        ? fromApiTrack(await callApi(`/tracks/${id}?market=${SPOTIFY_MARKET}`, token))
+        : fromApiEpisode(await callApi(`/episodes/${id}?market=${SPOTIFY_MARKET}`, token)),
+      () => getEmbedMetadata(type, id)
+    ));
   } catch (error) {
     console.error('Error fetching Spotify metadata:', error.message);
     throw new Error('Failed to fetch Spotify metadata');
   }
 }
+
+/**
+ * Get the tracks of a Spotify album or playlist (cached, at most MAX_PLAYLIST_ITEMS tracks)
+ * @param {string} url - open.spotify.com/album/... or /playlist/...
+ * @returns {Promise<Object>} - { title, author, thumbnail, total, tracks: [getSpotifyMetadata results] }
+ *   total = tracks in the whole collection
+ */
+export async function getSpotifyCollection(url) {
+  try {
+    const { type, id } = parseSpotifyUrl(url);
+    if (type !== 'album' && type !== 'playlist') throw new Error(`Not an album or playlist: ${url}`);
+
+    return await cachedSpotifyLookup(`${type}:${id}`, () => withApiFallback(
+      async (token) => {
+        const collection = await getApiCollection(type, id, token);
+        primeTrackLookups(collection.tracks);
+        return collection;
+      },
+      () => getEmbedCollection(type, id)
+    ));
+  } catch (error) {
+    console.error('Error fetching Spotify collection:', error.message);
+    throw new Error('Failed to fetch Spotify playlist');
+  }
+}
@@ -14,9 +14,11 @@ const publicDownloadsPath = path.join(__dirname, '../../public/downloads');
  * @param {string} filePath - Local file path (from temp/)
  * @param {string} bucket - Ignored (for backwards compatibility)
  * @param {string} destinationPath - Optional custom filename
+ * @param {Object} [options]
+ * @param {boolean} [options.copy] - Copy instead of move (source stays in temp/, e.g. shared cache files)
  * @returns {Promise<string>} - Relative path in storage
  */
-export async function uploadToStorage(filePath, bucket = 'conversions', destinationPath = null) {
+export async function uploadToStorage(filePath, bucket = 'conversions', destinationPath = null, { copy = false } = {}) {
   try {
     // Ensure public/downloads directory exists
     if (!fs.existsSync(publicDownloadsPath)) {
@@ -27,12 +29,16 @@ export async function uploadToStorage(filePath, bucket = 'conversions', destinat
     const storagePath = destinationPath || `${Date.now()}_${filename}`;
     const destPath = path.join(publicDownloadsPath, storagePath);
 
-    console.log(`Moving ${filename} to public/downloads/${storagePath}`);
+    console.log(`${copy ? 'Copying' : 'Moving'} ${filename} to public/downloads/${storagePath}`);
 
-    // Move file from temp to public/downloads
-    fs.renameSync(filePath, destPath);
+    // Move (or copy) file from temp to public/downloads
+    if (copy) {
+      fs.copyFileSync(filePath, destPath);
+    } else {
+      fs.renameSync(filePath, destPath);
+    }
 
-    console.log('File moved successfully');
+    console.log(`File ${copy ? 'copied' : 'moved'} successfully`);
     return storagePath; // Return relative path
   } catch (error) {
     console.error('Error in uploadToStorage:', error);
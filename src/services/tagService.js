@@ -0,0 +1,64 @@
+import fs from 'fs';
+
+// Covers bigger than this are not embedded (thumbnails are usually < 1 MB)
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+const COVER_TIMEOUT_MS = 10000;
+
+/**
+ * Tags to write into an output file: the source metadata (see
+ * mediaService.getVideoInfo), overridden by the user's tags
+ * @param {Object} videoInfo - From getVideoInfo (or a cached conversion)
+ * @param {string} sourceUrl - URL the user converted (stored as comment)
+ * @param {Object} [overrides] - From utils/tags.parseTags
+ * @returns {Object} - { title, artist, album, year, track, isrc, comment }, missing tags left out
+ */
+export function buildTags(videoInfo, sourceUrl, overrides = null) {
+  const metadata = videoInfo.metadata || {};
+
+  const tags = {
+    title: metadata.title || videoInfo.title,
+    artist: metadata.artist || videoInfo.author,
+    album: metadata.album,
+    year: metadata.year,
+    track: metadata.track,
+    isrc: metadata.isrc,
+    comment: sourceUrl,
+    ...overrides
+  };
+
+  return Object.fromEntries(Object.entries(tags).filter(([, value]) => value));
+}
+
+/**
+ * Download cover art to embed in an output file
+ * Failures are logged, not thrown: the file is then tagged without a cover.
+ * @param {string} coverUrl
+ * @param {string} destBasePath - Where to write the image (extension added from its type)
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<string|null>} - Path of the image, or null if no cover could be fetched
+ */
+export async function downloadCover(coverUrl, destBasePath, { signal } = {}) {
+  if (!coverUrl) return null;
+
+  try {
+    const timeout = AbortSignal.timeout(COVER_TIMEOUT_MS);
+    const response = await fetch(coverUrl, {
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (!contentType.startsWith('image/')) throw new Error(`Not an image (${contentType})`);
+
+    const image = Buffer.from(await response.arrayBuffer());
+    if (image.length > MAX_COVER_BYTES) throw new Error('Cover too large');
+
+    // e.g. image/jpeg -> .jpeg, image/webp -> .webp (ffmpeg picks the decoder from it)
+    const destPath = `${destBasePath}.${contentType.slice('image/'.length).split(';')[0].trim()}`;
+    fs.writeFileSync(destPath, image);
+    return destPath;
+  } catch (error) {
+    console.warn('⚠️ Cover art not embedded:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,169 @@
+import dotenv from 'dotenv';
+import { createCancelledError } from '../utils/abort.js';
+
+dotenv.config();
+
+/**
+ * Bounded execution pools for heavy child processes
+ * - download: yt-dlp (network + disk)
+ * - transcode: ffmpeg (CPU)
+ * - image: ffmpeg on thumbnails (/api/proxy-image), kept apart so they never wait behind videos
+ * Each pool runs at most `concurrency` tasks; the rest wait in a priority queue
+ * (higher priority first, FIFO within the same priority).
+ */
+
+// Paying plans are served first, guests last
+const PLAN_PRIORITY = {
+  creator: 3,
+  starter: 2,
+  free: 1
+};
+const GUEST_PRIORITY = 0;
+
+// Max waiting tasks per pool before new work is rejected with SERVER_BUSY
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE) || 50;
+
+const pools = {
+  download: createPool('download', parseInt(process.env.DOWNLOAD_CONCURRENCY) || 2),
+  transcode: createPool('transcode', parseInt(process.env.TRANSCODE_CONCURRENCY) || 1),
+  image: createPool('image', parseInt(process.env.IMAGE_CONCURRENCY) || 2)
+};
+
+function createPool(name, concurrency) {
+  return { name, concurrency, active: 0, queue: [] };
+}
+
+function getPool(poolName) {
+  const pool = pools[poolName];
+  if (!pool) throw new Error(`Unknown worker pool: ${poolName}`);
+  return pool;
+}
+
+/**
+ * Map a plan type (user_profiles.plan_type) to a queue priority
+ * @param {string|null} planType - null for guests
+ * @returns {number}
+ */
+export function getPlanPriority(planType) {
+  if (!planType) return GUEST_PRIORITY;
+  return PLAN_PRIORITY[planType] ?? PLAN_PRIORITY.free;
+}
+
+/**
+ * Check whether a pool can't accept more waiting tasks
+ * @param {string} poolName - 'download' | 'transcode' | 'image'
+ * @returns {boolean}
+ */
+export function isPoolFull(poolName) {
+  return getPool(poolName).queue.length >= MAX_QUEUE_SIZE;
+}
+
+/**
+ * Error thrown when a pool's queue is full
+ * @returns {Error}
+ */
+export function createServerBusyError() {
+  const error = new Error('Server is busy, please try again in a few minutes.');
+  error.code = 'SERVER_BUSY';
+  error.status = 503;
+  return error;
+}
+
+/**
+ * Run a task inside a pool, waiting for a free slot if needed
+ * @param {string} poolName - 'download' | 'transcode' | 'image'
+ * @param {Function} task - Async function to run
+ * @param {Object} [options]
+ * @param {number} [options.priority] - See getPlanPriority
+ * @param {Function} [options.onQueuePosition] - Called with the 1-based position while waiting, 0 when started
+ * @param {AbortSignal} [options.signal] - Aborting removes a waiting task from the queue
+ * @returns {Promise<any>} - Result of the task
+ */
+export function runInPool(poolName, task, { priority = GUEST_PRIORITY, onQueuePosition, signal } = {}) {
+  const pool = getPool(poolName);
+
+  if (signal && signal.aborted) {
+    return Promise.reject(createCancelledError());
+  }
+
+  // Free slot and nobody waiting: start right away
+  if (pool.active < pool.concurrency && pool.queue.length === 0) {
+    if (onQueuePosition) onQueuePosition(0);
+    return runTask(pool, task);
+  }
+
+  if (pool.queue.length >= MAX_QUEUE_SIZE) {
+    return Promise.reject(createServerBusyError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = { task, priority, onQueuePosition, resolve, reject };
+
+    // Insert after every entry with the same or higher priority
+    const index = pool.queue.findIndex((queued) => queued.priority < priority);
+    if (index === -1) pool.queue.push(entry);
+    else pool.queue.splice(index, 0, entry);
+
+    console.log(`⏳ [Pool:${pool.name}] Task queued (priority ${priority}, ${pool.queue.length} waiting)`);
+    notifyQueuePositions(pool);
+
+    // Cancelled while waiting: leave the queue without ever starting
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const queuedIndex = pool.queue.indexOf(entry);
+        if (queuedIndex === -1) return; // Already started
+
+        pool.queue.splice(queuedIndex, 1);
+        notifyQueuePositions(pool);
+        reject(createCancelledError());
+      }, { once: true });
+    }
+  });
+}
+
+async function runTask(pool, task) {
+  pool.active++;
+  try {
+    return await task();
+  } finally {
+    pool.active--;
+    drain(pool);
+  }
+}
+
+// Start waiting tasks while slots are free
+function drain(pool) {
+  let started = false;
+
+  while (pool.active < pool.concurrency && pool.queue.length > 0) {
+    const entry = pool.queue.shift();
+    if (entry.onQueuePosition) entry.onQueuePosition(0);
+    runTask(pool, entry.task).then(entry.resolve, entry.reject);
+    started = true;
+  }
+
+  if (started) notifyQueuePositions(pool);
+}
+
+function notifyQueuePositions(pool) {
+  pool.queue.forEach((entry, index) => {
+    if (entry.onQueuePosition) entry.onQueuePosition(index + 1);
+  });
+}
+
+/**
+ * Current load of every pool (for /health)
+ * @returns {Object} - { download: { active, waiting, concurrency }, ... }
+ */
+export function getPoolStats() {
+  const stats = {};
+  for (const pool of Object.values(pools)) {
+    stats[pool.name] = {
+      active: pool.active,
+      waiting: pool.queue.length,
+      concurrency: pool.concurrency,
+      maxQueueSize: MAX_QUEUE_SIZE
+    };
+  }
+  return stats;
+}
@@ -0,0 +1,43 @@
+import { spawn } from 'child_process';
+
+/**
+ * Error used when a conversion is cancelled (user cancel or client disconnect)
+ * @returns {Error}
+ */
+export function createCancelledError() {
+  const error = new Error('Conversion cancelled');
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+/**
+ * Throw the cancellation error if the signal was aborted
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Kill a child process and everything it spawned
+ * (yt-dlp runs ffmpeg itself to merge video + audio)
+ * The child must have been spawned with `detached: true` on POSIX
+ * so it leads its own process group.
+ * @param {ChildProcess} child
+ */
+export function killProcessTree(child) {
+  if (!child || !child.pid || child.exitCode !== null) return;
+
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      process.kill(-child.pid, 'SIGKILL'); // Negative PID = whole process group
+    }
+  } catch (error) {
+    console.warn(`⚠️ Failed to kill process tree ${child.pid}:`, error.message);
+    child.kill('SIGKILL');
+  }
+}
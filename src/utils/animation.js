@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Longest media (or clip) accepted for GIF/WebP outputs, in seconds
+export const MAX_ANIMATION_SECONDS = parseInt(process.env.MAX_ANIMATION_SECONDS) || 30;
+
+export const ANIMATION_DEFAULTS = { fps: 10, width: 480 };
+
+const FPS_RANGE = { min: 1, max: 30 };
+const WIDTH_RANGE = { min: 64, max: 1280 };
+
+/**
+ * Error for invalid GIF/WebP options or a media too long to animate
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createInvalidAnimationError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ANIMATION';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the optional `fps` / `width` parameters of a GIF/WebP conversion
+ * @param {Object} params - { fps, width } as sent by the client
+ * @returns {Object} - { fps, width }, defaults filled in
+ * @throws {Error} - INVALID_ANIMATION
+ */
+export function parseAnimationOptions({ fps, width }) {
+  const options = {
+    fps: fps === undefined || fps === null || fps === '' ? ANIMATION_DEFAULTS.fps : Number(fps),
+    width: width === undefined || width === null || width === '' ? ANIMATION_DEFAULTS.width : Number(width)
+  };
+
+  if (!Number.isInteger(options.fps) || options.fps < FPS_RANGE.min || options.fps > FPS_RANGE.max) {
+    throw createInvalidAnimationError(`fps must be an integer between ${FPS_RANGE.min} and ${FPS_RANGE.max}`);
+  }
+  if (!Number.isInteger(options.width) || options.width < WIDTH_RANGE.min || options.width > WIDTH_RANGE.max) {
+    throw createInvalidAnimationError(`width must be an integer between ${WIDTH_RANGE.min} and ${WIDTH_RANGE.max}`);
+  }
+
+  return options;
+}
+
+/**
+ * Check that the part to animate is short enough
+ * @param {number|null} seconds - Clip length, or media duration without a clip (null if unknown)
+ * @throws {Error} - INVALID_ANIMATION
+ */
+export function checkAnimationDuration(seconds) {
+  if (!seconds || seconds > MAX_ANIMATION_SECONDS) {
+    throw createInvalidAnimationError(
+      `GIF/WebP outputs are limited to ${MAX_ANIMATION_SECONDS}s: use start/end to pick a shorter clip`
+    );
+  }
+}
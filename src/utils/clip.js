@@ -0,0 +1,139 @@
+/**
+ * Error for an invalid clip range (bad timestamps or outside the media)
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createInvalidClipError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CLIP';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse a timestamp into seconds
+ * Accepts seconds (90, "90", "90.5") or clock notation ("1:30", "01:02:03.5")
+ * @param {number|string} value
+ * @returns {number} - Seconds, NaN if invalid
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') return value >= 0 ? value : NaN;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return NaN;
+
+  return value
+    .trim()
+    .split(':')
+    .reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Read the optional `start` / `end` parameters of a conversion
+ * @param {Object} params - { start, end } as sent by the client
+ * @returns {Object|null} - { start, end } in seconds (end null = until the end), null if no clip
+ * @throws {Error} - INVALID_CLIP
+ */
+export function parseClip({ start, end }) {
+  const hasStart = start !== undefined && start !== null && start !== '';
+  const hasEnd = end !== undefined && end !== null && end !== '';
+  if (!hasStart && !hasEnd) return null;
+
+  const clip = {
+    start: hasStart ? parseTimestamp(start) : 0,
+    end: hasEnd ? parseTimestamp(end) : null
+  };
+
+  if (isNaN(clip.start) || (clip.end !== null && isNaN(clip.end))) {
+    throw createInvalidClipError('Invalid start/end. Use seconds (90) or timestamps (1:30, 01:02:03).');
+  }
+
+  if (clip.end !== null && clip.end <= clip.start) {
+    throw createInvalidClipError('end must be after start');
+  }
+
+  return clip;
+}
+
+/**
+ * Check a clip against the media duration and resolve an open end
+ * @param {Object} clip - From parseClip
+ * @param {number|null} durationSeconds - Media duration (null if unknown, e.g. live)
+ * @returns {Object} - { start, end } (end null only if the duration is unknown)
+ * @throws {Error} - INVALID_CLIP
+ */
+export function checkClipDuration(clip, durationSeconds) {
+  if (!durationSeconds) return clip;
+
+  if (clip.start >= durationSeconds) {
+    throw createInvalidClipError(`start is beyond the end of the media (${durationSeconds}s)`);
+  }
+  if (clip.end !== null && clip.end > durationSeconds) {
+    throw createInvalidClipError(`end is beyond the end of the media (${durationSeconds}s)`);
+  }
+
+  return { start: clip.start, end: clip.end ?? durationSeconds };
+}
+
+/**
+ * Short label of a clip, used in cache keys and filenames (e.g. "30-90")
+ * @param {Object} clip - { start, end }
+ * @returns {string}
+ */
+export function getClipLabel(clip) {
+  return `${clip.start}-${clip.end ?? 'end'}`;
+}
+
+/**
+ * Read the optional `split` parameter of a conversion
+ * @param {string|Array} split - "chapters", or [{ start, end, title }] (end defaults to the next start)
+ * @param {number} maxTracks
+ * @returns {string|Array|null} - "chapters", the segments ({ start, end|null, title|null }), or null
+ * @throws {Error} - INVALID_CLIP
+ */
+export function parseSplit(split, maxTracks) {
+  if (split === undefined || split === null || split === false) return null;
+  if (split === 'chapters') return split;
+
+  if (!Array.isArray(split) || split.length === 0) {
+    throw createInvalidClipError('split must be "chapters" or a non-empty array of { start, end, title }');
+  }
+  if (split.length > maxTracks) {
+    throw createInvalidClipError(`split can hold at most ${maxTracks} tracks`);
+  }
+
+  return split.map((segment, i) => {
+    const clip = parseClip({ start: segment?.start ?? 0, end: segment?.end });
+    const title = segment?.title;
+    if (title !== undefined && (typeof title !== 'string' || title.length > 200)) {
+      throw createInvalidClipError(`split[${i}].title must be a string of at most 200 characters`);
+    }
+    return { ...clip, title: title || null };
+  });
+}
+
+/**
+ * Turn split segments into tracks covering the media
+ * Open ends run to the next segment's start, or to the end of the media.
+ * @param {Array} segments - From parseSplit, or chapters from getVideoInfo
+ * @param {number|null} durationSeconds
+ * @returns {Array<{ index: number, title: string, start: number, end: number|null }>}
+ * @throws {Error} - INVALID_CLIP
+ */
+export function resolveSplitTracks(segments, durationSeconds) {
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+
+  return sorted.map((segment, i) => {
+    const next = sorted[i + 1];
+    const end = segment.end ?? (next ? next.start : null);
+    if (end !== null && end <= segment.start) {
+      throw createInvalidClipError(`Track ${i + 1} is empty (another track starts at the same time)`);
+    }
+    const range = checkClipDuration({ start: segment.start, end }, durationSeconds);
+
+    return {
+      index: i + 1,
+      title: segment.title || `Track ${i + 1}`,
+      start: range.start,
+      end: range.end
+    };
+  });
+}
@@ -0,0 +1,136 @@
+/**
+ * Output formats: every format a conversion can produce, and how it is made
+ *
+ * kind        - 'audio' | 'video' | 'animation' | 'subtitles'
+ * label       - Shown to users and in logs
+ * container   - File extension of the output
+ * mimeType    - Content-Type of the output
+ * videoCodec  - 'h264' | 'vp9' | 'gif' | 'webp', 'original' = streams kept as downloaded, null = none
+ * audioCodec  - Codec key of ffmpegService ('mp3', 'flac', 'wav', 'm4a', 'opus', 'ogg'), 'aac',
+ *               'original' = as downloaded, null = none
+ * bitrate     - Audio bitrate in kbps, null if lossless or not re-encoded
+ * lossless    - Lossless audio (FLAC, WAV)
+ * maxHeight   - Resolution cap in pixels, null = best available
+ * plan        - 'guest' = anyone, 'account' = guests need an account (YouTube rules)
+ * streamable  - Can be encoded straight to the HTTP response (GET /api/convert/stream)
+ * download    - What yt-dlp fetches (see mediaService.downloadMedia): { type, quality, container },
+ *               container = what yt-dlp merges the streams into; null for subtitles (downloaded on their own)
+ */
+const FORMAT_PRESETS = {
+  // Audio
+  'mp3-320': { kind: 'audio', label: 'MP3 320kbps', container: 'mp3', mimeType: 'audio/mpeg', audioCodec: 'mp3', bitrate: 320, plan: 'account' },
+  'mp3-192': { kind: 'audio', label: 'MP3 192kbps', container: 'mp3', mimeType: 'audio/mpeg', audioCodec: 'mp3', bitrate: 192, plan: 'account' },
+  'mp3-128': { kind: 'audio', label: 'MP3 128kbps', container: 'mp3', mimeType: 'audio/mpeg', audioCodec: 'mp3', bitrate: 128, plan: 'guest' },
+  'flac': { kind: 'audio', label: 'FLAC', container: 'flac', mimeType: 'audio/flac', audioCodec: 'flac', lossless: true, plan: 'account' },
+  'wav': { kind: 'audio', label: 'WAV', container: 'wav', mimeType: 'audio/wav', audioCodec: 'wav', lossless: true, plan: 'account' },
+  'm4a-256': { kind: 'audio', label: 'AAC 256kbps', container: 'm4a', mimeType: 'audio/mp4', audioCodec: 'm4a', bitrate: 256, plan: 'account' },
+  'm4a-128': { kind: 'audio', label: 'AAC 128kbps', container: 'm4a', mimeType: 'audio/mp4', audioCodec: 'm4a', bitrate: 128, plan: 'guest' },
+  'opus-160': { kind: 'audio', label: 'Opus 160kbps', container: 'opus', mimeType: 'audio/ogg', audioCodec: 'opus', bitrate: 160, plan: 'account' },
+  'opus-96': { kind: 'audio', label: 'Opus 96kbps', container: 'opus', mimeType: 'audio/ogg', audioCodec: 'opus', bitrate: 96, plan: 'guest' },
+  'ogg-192': { kind: 'audio', label: 'OGG Vorbis 192kbps', container: 'ogg', mimeType: 'audio/ogg', audioCodec: 'ogg', bitrate: 192, plan: 'account' },
+
+  // Video: MP4 HD/SD are H.264/AAC (re-encoded if the download is not), the others keep the downloaded streams
+  'mp4-4k': { kind: 'video', label: 'MP4 4K', container: 'mp4', mimeType: 'video/mp4', videoCodec: 'original', audioCodec: 'original', plan: 'account', download: { quality: '4k' } },
+  'mp4-hd': { kind: 'video', label: 'MP4 1080p', container: 'mp4', mimeType: 'video/mp4', videoCodec: 'h264', audioCodec: 'aac', maxHeight: 1080, plan: 'account', download: { quality: 'best' } },
+  'mp4-sd': { kind: 'video', label: 'MP4 720p', container: 'mp4', mimeType: 'video/mp4', videoCodec: 'h264', audioCodec: 'aac', maxHeight: 720, plan: 'guest', download: { quality: 'standard' } },
+  'webm': { kind: 'video', label: 'WebM', container: 'webm', mimeType: 'video/webm', videoCodec: 'vp9', audioCodec: 'opus', plan: 'account', download: { quality: '4k', container: 'webm' } },
+  'mkv': { kind: 'video', label: 'MKV', container: 'mkv', mimeType: 'video/x-matroska', videoCodec: 'original', audioCodec: 'original', plan: 'account', download: { quality: '4k', container: 'mkv' } },
+  'mov': { kind: 'video', label: 'MOV', container: 'mov', mimeType: 'video/quicktime', videoCodec: 'h264', audioCodec: 'aac', maxHeight: 1080, plan: 'account', download: { quality: 'best', container: 'mov' } },
+
+  // Animations, made from a 720p download (see utils/animation for fps/width)
+  'gif': { kind: 'animation', label: 'GIF', container: 'gif', mimeType: 'image/gif', videoCodec: 'gif', maxHeight: 720, plan: 'guest', download: { quality: 'standard' } },
+  'webp': { kind: 'animation', label: 'WebP', container: 'webp', mimeType: 'image/webp', videoCodec: 'webp', maxHeight: 720, plan: 'guest', download: { quality: 'standard' } },
+
+  // Subtitles alone, no media download
+  'srt': { kind: 'subtitles', label: 'SRT', container: 'srt', mimeType: 'application/x-subrip', plan: 'guest' },
+  'vtt': { kind: 'subtitles', label: 'WebVTT', container: 'vtt', mimeType: 'text/vtt', plan: 'guest' },
+  'txt': { kind: 'subtitles', label: 'Transcript', container: 'txt', mimeType: 'text/plain', plan: 'guest' }
+};
+
+// Fill in the fields most presets leave out
+for (const preset of Object.values(FORMAT_PRESETS)) {
+  preset.videoCodec = preset.videoCodec || null;
+  preset.audioCodec = preset.audioCodec || null;
+  preset.bitrate = preset.bitrate || null;
+  preset.lossless = !!preset.lossless;
+  preset.maxHeight = preset.maxHeight || null;
+  // Audio only: video containers need the whole file to merge; WAV needs its final size in the header
+  preset.streamable = preset.kind === 'audio' && preset.container !== 'wav';
+  preset.download = preset.kind === 'audio'
+    ? { type: 'audio', quality: 'best', container: 'mp4' }
+    : preset.download ? { type: 'video', container: 'mp4', ...preset.download } : null;
+}
+
+/**
+ * IDs of every format, in display order
+ */
+export const FORMAT_IDS = Object.keys(FORMAT_PRESETS);
+
+/**
+ * Preset of a format
+ * @param {string} format
+ * @returns {Object|null} - See FORMAT_PRESETS, null for unknown formats
+ */
+export function getFormatPreset(format) {
+  return Object.hasOwn(FORMAT_PRESETS, format) ? FORMAT_PRESETS[format] : null;
+}
+
+/**
+ * Whether a format exists
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isValidFormat(format) {
+  return getFormatPreset(format) !== null;
+}
+
+/**
+ * Whether a format is an audio-only output
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isAudioFormat(format) {
+  return getFormatPreset(format)?.kind === 'audio';
+}
+
+/**
+ * Whether a format is an animated GIF/WebP output
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isAnimationFormat(format) {
+  return getFormatPreset(format)?.kind === 'animation';
+}
+
+/**
+ * Whether a format delivers subtitles (SRT, WebVTT, or a plain-text transcript)
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isSubtitleFormat(format) {
+  return getFormatPreset(format)?.kind === 'subtitles';
+}
+
+/**
+ * Public description of every format (GET /api/formats)
+ * @returns {Array<Object>} - { id, kind, label, container, mimeType, videoCodec, audioCodec, bitrate, lossless, maxHeight, plan, streamable }
+ */
+export function listFormats() {
+  return FORMAT_IDS.map((id) => {
+    const preset = FORMAT_PRESETS[id];
+    return {
+      id,
+      kind: preset.kind,
+      label: preset.label,
+      container: preset.container,
+      mimeType: preset.mimeType,
+      videoCodec: preset.videoCodec,
+      audioCodec: preset.audioCodec,
+      bitrate: preset.bitrate,
+      lossless: preset.lossless,
+      maxHeight: preset.maxHeight,
+      plan: preset.plan,
+      streamable: preset.streamable
+    };
+  });
+}
@@ -0,0 +1,76 @@
+// Output formats of /api/proxy-image, best first (picked from the Accept header)
+export const IMAGE_FORMATS = {
+  avif: { mimeType: 'image/avif', extension: 'avif' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' }
+};
+
+// cover = fill the box and crop, contain = fit inside the box, fill = stretch to the box
+export const IMAGE_FITS = ['cover', 'contain', 'fill'];
+
+const SIZE_RANGE = { min: 16, max: 2048 };
+
+/**
+ * Error for invalid `w` / `h` / `fit` parameters
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createInvalidImageError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE_OPTIONS';
+  error.status = 400;
+  return error;
+}
+
+function parseSize(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < SIZE_RANGE.min || size > SIZE_RANGE.max) {
+    throw createInvalidImageError(`${name} must be an integer between ${SIZE_RANGE.min} and ${SIZE_RANGE.max}`);
+  }
+  return size;
+}
+
+/**
+ * Read the optional resize parameters of /api/proxy-image
+ * With a single dimension the aspect ratio is kept and `fit` is ignored.
+ * @param {Object} params - { w, h, fit } as sent by the client
+ * @returns {Object} - { width, height, fit }, null sizes = not resized
+ * @throws {Error} - INVALID_IMAGE_OPTIONS
+ */
+export function parseImageOptions({ w, h, fit }) {
+  const options = {
+    width: parseSize(w, 'w'),
+    height: parseSize(h, 'h'),
+    fit: fit === undefined || fit === null || fit === '' ? 'cover' : fit
+  };
+
+  if (!IMAGE_FITS.includes(options.fit)) {
+    throw createInvalidImageError(`fit must be one of: ${IMAGE_FITS.join(', ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Best image format the client accepts
+ * @param {string} [accept] - Accept request header
+ * @returns {string|null} - 'avif' | 'webp', null = neither (original format, or JPEG once resized)
+ */
+export function negotiateImageFormat(accept) {
+  if (!accept) return null;
+
+  const accepted = new Set();
+  for (const part of accept.split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    if (quality && parseFloat(quality.slice(2)) === 0) continue;
+    accepted.add(type.trim());
+  }
+
+  for (const format of ['avif', 'webp']) {
+    if (accepted.has(IMAGE_FORMATS[format].mimeType)) return format;
+  }
+  return null;
+}
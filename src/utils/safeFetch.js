@@ -0,0 +1,240 @@
+import dns from 'dns/promises';
+import net from 'net';
+import dotenv from 'dotenv';
+import { fetch, Agent } from 'undici';
+import { getCdnHosts } from '../platforms/index.js';
+
+dotenv.config();
+
+/**
+ * Outbound fetch for URLs coming from clients (/api/proxy, /api/proxy-image)
+ * Only known media CDNs are reachable, and never through a private or reserved
+ * address: every hop (redirects included) is checked before it is requested,
+ * and connections only go to the addresses that were checked.
+ */
+
+// CDN domains the proxies may fetch from (subdomains included): each platform's
+// cdnHosts (see platforms/index.js), extended by PROXY_ALLOWED_DOMAINS
+const ALLOWED_DOMAINS = [
+  ...getCdnHosts(),
+  ...(process.env.PROXY_ALLOWED_DOMAINS || '').split(',').map((domain) => domain.trim().toLowerCase()).filter(Boolean)
+];
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Private, loopback, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Error for a blocked or failed outbound request
+ * @param {string} code - INVALID_PROXY_URL | DOMAIN_NOT_ALLOWED | PRIVATE_ADDRESS_BLOCKED |
+ *   TOO_MANY_REDIRECTS | RESPONSE_TOO_LARGE | UPSTREAM_TIMEOUT
+ * @param {string} message
+ * @param {number} status - HTTP status to answer the client with
+ * @returns {Error}
+ */
+function createSafeFetchError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether an IP address is private or reserved
+ * @param {string} address - IPv4 or IPv6
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true; // Not an IP: never trust it
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup of outbound connections (net.connect `lookup` option)
+ * Private addresses are refused here, at connection time: a host can't resolve
+ * to a public address for checkUrl() and to a private one for the request.
+ * @param {string} hostname
+ * @param {Object} options - { family, all } (see dns.lookup)
+ * @param {Function} callback - (error, address, family), or (error, addresses) with `all`
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { family: options.family || 0, all: true, verbatim: true }).then((addresses) => {
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(createSafeFetchError('PRIVATE_ADDRESS_BLOCKED', `${hostname} resolves to a private address (${blocked.address})`, 403));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  }, callback);
+}
+
+// Every proxied request connects through the vetted lookup
+const dispatcher = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Whether a hostname belongs to an allowed CDN domain
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return ALLOWED_DOMAINS.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Check one URL before requesting it
+ * @param {string} rawUrl
+ * @returns {Promise<URL>}
+ * @throws {Error} - INVALID_PROXY_URL, DOMAIN_NOT_ALLOWED, PRIVATE_ADDRESS_BLOCKED
+ */
+async function checkUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw createSafeFetchError('INVALID_PROXY_URL', 'Invalid URL', 400);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw createSafeFetchError('INVALID_PROXY_URL', `Protocol not allowed: ${url.protocol}`, 400);
+  }
+  if (url.username || url.password) {
+    throw createSafeFetchError('INVALID_PROXY_URL', 'Credentials in URLs are not allowed', 400);
+  }
+
+  // IP literals are never on the allowlist, so they stop here too
+  if (!isAllowedHost(url.hostname)) {
+    throw createSafeFetchError('DOMAIN_NOT_ALLOWED', `Domain not allowed: ${url.hostname}`, 403);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(url.hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw createSafeFetchError('INVALID_PROXY_URL', `Cannot resolve ${url.hostname}`, 400);
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw createSafeFetchError('PRIVATE_ADDRESS_BLOCKED', `${url.hostname} resolves to a private address (${blocked.address})`, 403);
+  }
+
+  return url;
+}
+
+/**
+ * Cut a response body off once it exceeds maxBytes
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Response}
+ */
+function limitBody(response, maxBytes) {
+  if (!response.body || maxBytes === Infinity) return response;
+
+  let received = 0;
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      received += chunk.byteLength;
+      if (received > maxBytes) {
+        const error = createSafeFetchError('RESPONSE_TOO_LARGE', `Response larger than ${maxBytes} bytes`, 502);
+        console.warn(`🚫 [safeFetch] ${error.code}: ${error.message} (${response.url})`);
+        controller.error(error);
+      } else {
+        controller.enqueue(chunk);
+      }
+    }
+  }));
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * fetch() a client-supplied URL, hardened against SSRF
+ * - http(s) only, allowed CDN domains only, no private/reserved address
+ * - redirects followed by hand, each hop checked the same way
+ * - timeout until the response headers, size limit on the body
+ * Blocked requests are logged and rejected with the error's `code`/`status`.
+ * @param {string} rawUrl
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers
+ * @param {AbortSignal} [options.signal] - Aborts the request (e.g. client disconnected)
+ * @param {number} [options.timeoutMs] - Max wait for the response headers
+ * @param {number} [options.maxBytes] - Max body size (Content-Length checked up front, then counted)
+ * @returns {Promise<Response>}
+ * @throws {Error} - See createSafeFetchError codes
+ */
+export async function safeFetch(rawUrl, { headers = {}, signal, timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = Infinity } = {}) {
+  // The timeout only covers the wait for headers: bodies (videos) may take long to stream
+  const timeout = new AbortController();
+  const timer = setTimeout(() => timeout.abort(), timeoutMs);
+  const requestSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+
+  let currentUrl = rawUrl;
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const url = await checkUrl(currentUrl);
+
+      let response;
+      try {
+        response = await fetch(url, { headers, signal: requestSignal, redirect: 'manual', dispatcher });
+      } catch (error) {
+        if (timeout.signal.aborted && !(signal && signal.aborted)) {
+          throw createSafeFetchError('UPSTREAM_TIMEOUT', `No response from ${url.hostname} within ${timeoutMs}ms`, 504);
+        }
+        // Refused by lookupPublicAddress (fetch wraps it as the cause)
+        if (error.cause && error.cause.code === 'PRIVATE_ADDRESS_BLOCKED') throw error.cause;
+        throw error;
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        response.body?.cancel();
+        currentUrl = new URL(location, url).toString();
+        continue;
+      }
+
+      const contentLength = parseInt(response.headers.get('content-length'));
+      if (contentLength > maxBytes) {
+        response.body?.cancel();
+        throw createSafeFetchError('RESPONSE_TOO_LARGE', `Response of ${contentLength} bytes exceeds ${maxBytes}`, 502);
+      }
+
+      return limitBody(response, maxBytes);
+    }
+
+    throw createSafeFetchError('TOO_MANY_REDIRECTS', `More than ${MAX_REDIRECTS} redirects`, 502);
+  } catch (error) {
+    if (error.code && error.status) {
+      console.warn(`🚫 [safeFetch] ${error.code}: ${error.message} (${currentUrl})`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
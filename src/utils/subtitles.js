@@ -0,0 +1,143 @@
+/**
+ * Error for an invalid `subtitles` parameter
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createInvalidSubtitlesError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SUBTITLES';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the optional `subtitles` parameter (a language code such as "en" or "pt-BR")
+ * @param {string} [lang]
+ * @returns {string|null}
+ * @throws {Error} - INVALID_SUBTITLES
+ */
+export function parseSubtitleLanguage(lang) {
+  if (lang === undefined || lang === null || lang === '') return null;
+
+  if (typeof lang !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/.test(lang)) {
+    throw createInvalidSubtitlesError('subtitles must be a language code (e.g. "en", "fr", "pt-BR")');
+  }
+
+  return lang;
+}
+
+// "00:01:02.345" or "01:02.345" -> seconds
+function parseVttTime(value) {
+  return value
+    .split(':')
+    .reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Seconds -> "00:01:02.345" (separator "," for SRT)
+function formatTime(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+// Drop styling/karaoke tags (<c>, <00:00:01.000>, <i>...) and decode the usual entities
+function stripTags(line) {
+  return line
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Parse a WebVTT file
+ * @param {string} vtt
+ * @returns {Array<{ start: number, end: number, text: string }>} - Times in seconds
+ */
+export function parseVtt(vtt) {
+  const cues = [];
+
+  for (const block of vtt.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    // Header, NOTE and STYLE blocks have no timing line
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [start, end] = lines[timingIndex]
+      .split('-->')
+      .map((part) => parseVttTime(part.trim().split(/\s+/)[0]));
+    const text = lines
+      .slice(timingIndex + 1)
+      .map(stripTags)
+      .filter(Boolean)
+      .join('\n');
+
+    if (text && !isNaN(start) && !isNaN(end)) {
+      cues.push({ start, end, text });
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Move cues on the timeline and keep those inside [0, duration]
+ * @param {Array} cues - From parseVtt
+ * @param {number} offset - Seconds to subtract (e.g. clip start)
+ * @param {number|null} [duration] - Length of the target media, null = no end
+ * @returns {Array}
+ */
+export function shiftCues(cues, offset, duration = null) {
+  return cues
+    .map((cue) => ({ ...cue, start: cue.start - offset, end: cue.end - offset }))
+    .filter((cue) => cue.end > 0 && (duration === null || cue.start < duration))
+    .map((cue) => ({
+      ...cue,
+      start: Math.max(0, cue.start),
+      end: duration === null ? cue.end : Math.min(cue.end, duration)
+    }));
+}
+
+/**
+ * @param {Array} cues
+ * @returns {string} - SubRip file
+ */
+export function toSrt(cues) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * @param {Array} cues
+ * @returns {string} - WebVTT file
+ */
+export function toVtt(cues) {
+  return `WEBVTT\n\n${cues
+    .map((cue) => `${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n')}`;
+}
+
+/**
+ * Plain-text transcript: one line per caption line, without timings
+ * Auto-generated captions repeat the previous line in every cue: repeats are dropped.
+ * @param {Array} cues
+ * @returns {string}
+ */
+export function toTranscript(cues) {
+  const lines = [];
+
+  for (const cue of cues) {
+    for (const line of cue.text.split('\n')) {
+      if (line !== lines[lines.length - 1]) lines.push(line);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,48 @@
+// Tags a user can set on the output file
+const TAG_FIELDS = ['title', 'artist', 'album', 'year'];
+const MAX_TAG_LENGTH = 200;
+
+/**
+ * Error for an invalid `tags` parameter
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createInvalidTagsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TAGS';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the optional `tags` parameter of a conversion (overrides the source metadata)
+ * @param {Object} [tags] - { title, artist, album, year } as sent by the client
+ * @returns {Object|null} - Only the tags given, null if none
+ * @throws {Error} - INVALID_TAGS
+ */
+export function parseTags(tags) {
+  if (tags === undefined || tags === null) return null;
+
+  if (typeof tags !== 'object' || Array.isArray(tags)) {
+    throw createInvalidTagsError(`tags must be an object with: ${TAG_FIELDS.join(', ')}`);
+  }
+
+  const overrides = {};
+  for (const [field, value] of Object.entries(tags)) {
+    if (!TAG_FIELDS.includes(field)) {
+      throw createInvalidTagsError(`Unknown tag "${field}". Use: ${TAG_FIELDS.join(', ')}`);
+    }
+
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || text.trim() === '' || text.length > MAX_TAG_LENGTH) {
+      throw createInvalidTagsError(`Tag "${field}" must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (field === 'year' && !/^\d{4}$/.test(text.trim())) {
+      throw createInvalidTagsError('Tag "year" must be a 4-digit year');
+    }
+
+    overrides[field] = text.trim();
+  }
+
+  return Object.keys(overrides).length > 0 ? overrides : null;
+}
@@ -0,0 +1,156 @@
+/**
+ * Matching Spotify tracks to YouTube videos
+ * Candidates from a YouTube search are scored against the Spotify track, so live
+ * versions, covers, loops and lyric videos with long intros lose to the studio audio.
+ */
+
+// Share of each signal in the confidence (sums to 1)
+const WEIGHTS = {
+  duration: 0.4,
+  title: 0.3,
+  artist: 0.15,
+  official: 0.15
+};
+
+// Durations this close count as identical, this far apart as unrelated (seconds)
+const DURATION_TOLERANCE = 2;
+const DURATION_MAX_DELTA = 30;
+
+// Versions nobody asked for: ignored when the Spotify title says the same (a live track matches live videos)
+const PENALTIES = [
+  { pattern: /\blive\b|\bconcert\b/, penalty: 0.3 },
+  { pattern: /\bcover\b/, penalty: 0.4 },
+  { pattern: /\bkaraoke\b|\binstrumental\b/, penalty: 0.4 },
+  { pattern: /\bremix\b/, penalty: 0.3 },
+  { pattern: /\bsped up\b|\bslowed\b|\bnightcore\b|\breverb\b|\b8d\b/, penalty: 0.4 },
+  { pattern: /\b\d+\s*(hours?|hrs?)\b|\bloop\b/, penalty: 0.5 },
+  { pattern: /\breaction\b|\btutorial\b/, penalty: 0.5 },
+  { pattern: /\blyrics?\b/, penalty: 0.1 }
+];
+
+// 'https://www.youtube.com/watch?v=' IDs
+const YOUTUBE_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+/**
+ * Error for an invalid `match` parameter
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createInvalidMatchError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MATCH';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the optional `match` parameter: YouTube video ID of an alternative
+ * picked by the user (see /api/info `alternatives`)
+ * @param {string} [match]
+ * @returns {string|null} - Video ID, null if none
+ * @throws {Error} - INVALID_MATCH
+ */
+export function parseMatchId(match) {
+  if (match === undefined || match === null || match === '') return null;
+
+  if (typeof match !== 'string' || !YOUTUBE_ID_PATTERN.test(match)) {
+    throw createInvalidMatchError('match must be a YouTube video ID');
+  }
+  return match;
+}
+
+/**
+ * Lowercase words without accents or punctuation ("Beyoncé & JAY-Z" -> beyonce, and, jay, z)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Share of the expected words found in a text
+ * @param {string} expected
+ * @param {string} text
+ * @returns {number} - 0 to 1
+ */
+function wordCoverage(expected, text) {
+  const words = normalizeText(expected).split(' ').filter(Boolean);
+  if (words.length === 0) return 0;
+
+  const found = new Set(normalizeText(text).split(' '));
+  return words.filter((word) => found.has(word)).length / words.length;
+}
+
+/**
+ * @param {number} trackDuration - Seconds, 0 if unknown
+ * @param {number|null} candidateDuration - Seconds
+ * @returns {number} - 0 to 1, 0.5 when a duration is unknown
+ */
+function durationScore(trackDuration, candidateDuration) {
+  if (!trackDuration || !candidateDuration) return 0.5;
+
+  const delta = Math.abs(trackDuration - candidateDuration);
+  if (delta <= DURATION_TOLERANCE) return 1;
+  return Math.max(0, 1 - (delta - DURATION_TOLERANCE) / (DURATION_MAX_DELTA - DURATION_TOLERANCE));
+}
+
+/**
+ * How official an upload looks: "Artist - Topic" channels carry the studio audio
+ * @param {Object} track
+ * @param {Object} candidate
+ * @returns {number} - 0 to 1
+ */
+function officialScore(track, candidate) {
+  const title = normalizeText(candidate.title);
+  const channel = normalizeText(candidate.channel);
+
+  if (/ topic$/.test(channel) || /\bofficial audio\b/.test(title)) return 1;
+  // Music videos often add an intro or an outro
+  if (/\bofficial (music )?video\b/.test(title)) return 0.6;
+  if (/vevo$/.test(channel.replace(/ /g, '')) || wordCoverage(track.artist, candidate.channel) === 1) return 0.5;
+  return 0;
+}
+
+/**
+ * Confidence that a YouTube video is the Spotify track
+ * @param {Object} track - { title, artist, duration } from getSpotifyMetadata
+ * @param {Object} candidate - { title, channel, duration } of the video
+ * @returns {number} - 0 to 1, two decimals
+ */
+function scoreCandidate(track, candidate) {
+  // "Song (feat. X) - Remastered 2011" -> "Song"
+  const mainTitle = track.title.replace(/\s*[([].*?[)\]]/g, '').split(' - ')[0];
+  const trackTitle = normalizeText(track.title);
+  const candidateTitle = normalizeText(candidate.title);
+
+  let score =
+    WEIGHTS.duration * durationScore(track.duration, candidate.duration) +
+    WEIGHTS.title * wordCoverage(mainTitle || track.title, candidate.title) +
+    WEIGHTS.artist * wordCoverage(track.artist, `${candidate.title} ${candidate.channel}`) +
+    WEIGHTS.official * officialScore(track, candidate);
+
+  for (const { pattern, penalty } of PENALTIES) {
+    if (pattern.test(candidateTitle) && !pattern.test(trackTitle)) score -= penalty;
+  }
+
+  return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+/**
+ * Score YouTube search results against a Spotify track, best match first
+ * @param {Object} track - { title, artist, duration } from getSpotifyMetadata
+ * @param {Array<Object>} candidates - [{ id, url, title, channel, duration }]
+ * @returns {Array<Object>} - Candidates with their `confidence` (0 to 1)
+ */
+export function rankCandidates(track, candidates) {
+  return candidates
+    .map((candidate) => ({ ...candidate, confidence: scoreCandidate(track, candidate) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
@@ -0,0 +1,135 @@
+import { describe, it, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The services log every step: keep the test output readable
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// Throwaway cache of 10 bytes, never evicting for lack of disk space
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkiz-cache-'));
+process.env.CACHE_DIR = path.join(workDir, 'cache');
+process.env.CACHE_MAX_BYTES = '10';
+process.env.CACHE_MIN_FREE_BYTES = '1';
+
+const {
+  getCacheKey,
+  getCacheEntry,
+  addToCache,
+  releaseCacheEntry,
+  invalidateCacheEntry,
+  enforceCacheBudget,
+  getCacheStats
+} = await import('../src/services/cacheService.js');
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Cache a file of `content` under a download variant, released right away
+ * @returns {Object} - Cache entry
+ */
+function store(sourceId, content, variant = 'audio_best') {
+  const filePath = path.join(workDir, `${sourceId}-${variant}.webm`);
+  fs.writeFileSync(filePath, content);
+  const entry = addToCache(filePath, { sourceId, kind: 'download', variant, codec: 'webm', filename: `${sourceId}.webm` });
+  releaseCacheEntry(entry.key);
+  return entry;
+}
+
+function lookup(sourceId, variant = 'audio_best') {
+  return getCacheEntry({ sourceId, kind: 'download', variant });
+}
+
+function isCached(sourceId) {
+  const entry = lookup(sourceId);
+  if (entry) releaseCacheEntry(entry.key);
+  return Boolean(entry);
+}
+
+describe('getCacheKey', () => {
+  it('differs per source, kind and variant', () => {
+    const key = getCacheKey({ sourceId: 'abc', kind: 'download', variant: 'audio_best' });
+    assert.equal(key, getCacheKey({ sourceId: 'abc', kind: 'download', variant: 'audio_best' }));
+    assert.notEqual(key, getCacheKey({ sourceId: 'abc', kind: 'converted', variant: 'audio_best' }));
+    assert.notEqual(key, getCacheKey({ sourceId: 'abc', kind: 'download', variant: 'video_best' }));
+    assert.notEqual(key, getCacheKey({ sourceId: 'abd', kind: 'download', variant: 'audio_best' }));
+  });
+});
+
+describe('LRU eviction', () => {
+  it('evicts the least recently used entries once over budget', async () => {
+    store('a', '1234');
+    await sleep(5);
+    store('b', '1234');
+    await sleep(5);
+
+    // Reading `a` makes `b` the oldest
+    assert.equal(isCached('a'), true);
+    await sleep(5);
+    const c = store('c', '1234'); // 12 bytes > 10
+
+    assert.equal(isCached('b'), false);
+    assert.equal(isCached('a'), true);
+    assert.equal(isCached('c'), true);
+    assert.equal(getCacheStats().bytes, 8);
+
+    invalidateCacheEntry(getCacheKey({ sourceId: 'a', kind: 'download', variant: 'audio_best' }));
+    invalidateCacheEntry(c.key);
+  });
+
+  it('never evicts a pinned entry', async () => {
+    const pinned = store('pinned', '123456');
+    const reader = lookup('pinned'); // Pinned until released
+    await sleep(5);
+    store('other', '123456'); // 12 bytes, only `other` can go
+    enforceCacheBudget();
+
+    assert.ok(fs.existsSync(reader.filePath));
+    assert.equal(isCached('other'), false);
+
+    releaseCacheEntry(reader.key);
+    invalidateCacheEntry(pinned.key);
+    assert.equal(fs.existsSync(reader.filePath), false);
+  });
+
+  it('keeps a pinned entry when the same variant is stored again', () => {
+    const first = store('dup', 'first');
+    const reader = lookup('dup');
+
+    fs.writeFileSync(path.join(workDir, 'dup-again.webm'), 'second');
+    const second = addToCache(path.join(workDir, 'dup-again.webm'), { sourceId: 'dup', kind: 'download', variant: 'audio_best', codec: 'webm', filename: 'dup.webm' });
+
+    assert.equal(second.filePath, first.filePath);
+    assert.equal(fs.readFileSync(reader.filePath, 'utf8'), 'first');
+    assert.equal(fs.existsSync(path.join(workDir, 'dup-again.webm')), false);
+
+    releaseCacheEntry(reader.key);
+    releaseCacheEntry(second.key);
+    invalidateCacheEntry(first.key);
+  });
+
+  it('drops entries whose file disappeared', () => {
+    const entry = store('gone', '12');
+    fs.rmSync(entry.filePath);
+
+    assert.equal(isCached('gone'), false);
+    assert.deepEqual({ entries: getCacheStats().entries, pinned: getCacheStats().pinned }, { entries: 0, pinned: 0 });
+  });
+});
+
+describe('getCacheStats', () => {
+  it('counts hits and misses per kind', () => {
+    const before = getCacheStats().lookups.image || { hits: 0, misses: 0 };
+    getCacheEntry({ sourceId: 'https://i.ytimg.com/x.jpg', kind: 'image', variant: 'original' });
+
+    const { lookups } = getCacheStats();
+    assert.equal(lookups.image.misses, before.misses + 1);
+    assert.equal(lookups.image.hits, 0);
+    assert.ok(lookups.download.hits > 0);
+    assert.ok(lookups.download.hitRate > 0 && lookups.download.hitRate < 1);
+  });
+});
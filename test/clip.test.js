@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTimestamp,
+  parseClip,
+  checkClipDuration,
+  getClipLabel,
+  parseSplit,
+  resolveSplitTracks
+} from '../src/utils/clip.js';
+
+const INVALID_CLIP = { code: 'INVALID_CLIP', status: 400 };
+
+describe('parseTimestamp', () => {
+  it('reads seconds', () => {
+    assert.equal(parseTimestamp(90), 90);
+    assert.equal(parseTimestamp('90'), 90);
+    assert.equal(parseTimestamp('90.5'), 90.5);
+  });
+
+  it('reads clock notation', () => {
+    assert.equal(parseTimestamp('1:30'), 90);
+    assert.equal(parseTimestamp('01:02:03.5'), 3723.5);
+    assert.equal(parseTimestamp(' 2:05 '), 125);
+  });
+
+  it('returns NaN for anything else', () => {
+    for (const value of [-1, '-5', '1:2:3:4', '1:300', 'abc', '', null, undefined, {}]) {
+      assert.ok(Number.isNaN(parseTimestamp(value)), `${JSON.stringify(value)} is not a timestamp`);
+    }
+  });
+});
+
+describe('parseClip', () => {
+  it('returns null without start and end', () => {
+    assert.equal(parseClip({}), null);
+    assert.equal(parseClip({ start: '', end: null }), null);
+  });
+
+  it('defaults to the beginning and to an open end', () => {
+    assert.deepEqual(parseClip({ end: '1:00' }), { start: 0, end: 60 });
+    assert.deepEqual(parseClip({ start: 30 }), { start: 30, end: null });
+  });
+
+  it('rejects invalid timestamps and empty ranges', () => {
+    assert.throws(() => parseClip({ start: 'soon' }), INVALID_CLIP);
+    assert.throws(() => parseClip({ start: 60, end: 60 }), INVALID_CLIP);
+    assert.throws(() => parseClip({ start: '2:00', end: '1:00' }), INVALID_CLIP);
+  });
+});
+
+describe('checkClipDuration', () => {
+  it('resolves an open end to the media duration', () => {
+    assert.deepEqual(checkClipDuration({ start: 30, end: null }, 200), { start: 30, end: 200 });
+  });
+
+  it('leaves the clip as is when the duration is unknown', () => {
+    assert.deepEqual(checkClipDuration({ start: 30, end: null }, null), { start: 30, end: null });
+  });
+
+  it('rejects clips beyond the end of the media', () => {
+    assert.throws(() => checkClipDuration({ start: 200, end: null }, 200), INVALID_CLIP);
+    assert.throws(() => checkClipDuration({ start: 0, end: 201 }, 200), INVALID_CLIP);
+  });
+});
+
+describe('getClipLabel', () => {
+  it('names open ends "end"', () => {
+    assert.equal(getClipLabel({ start: 30, end: 90 }), '30-90');
+    assert.equal(getClipLabel({ start: 30, end: null }), '30-end');
+  });
+});
+
+describe('parseSplit', () => {
+  it('accepts "chapters" and nothing', () => {
+    assert.equal(parseSplit('chapters', 10), 'chapters');
+    assert.equal(parseSplit(undefined, 10), null);
+    assert.equal(parseSplit(false, 10), null);
+  });
+
+  it('parses segments', () => {
+    assert.deepEqual(parseSplit([{ start: '0:00', title: 'Intro' }, { start: '1:30', end: 200 }], 10), [
+      { start: 0, end: null, title: 'Intro' },
+      { start: 90, end: 200, title: null }
+    ]);
+  });
+
+  it('rejects malformed or too many segments', () => {
+    assert.throws(() => parseSplit([], 10), INVALID_CLIP);
+    assert.throws(() => parseSplit('tracks', 10), INVALID_CLIP);
+    assert.throws(() => parseSplit([{ start: 0 }, { start: 10 }], 1), INVALID_CLIP);
+    assert.throws(() => parseSplit([{ start: 0, title: 42 }], 10), INVALID_CLIP);
+  });
+});
+
+describe('resolveSplitTracks', () => {
+  it('sorts the segments and runs open ends to the next start or the end of the media', () => {
+    const tracks = resolveSplitTracks([
+      { start: 90, end: null, title: 'Second' },
+      { start: 0, end: null, title: null }
+    ], 200);
+
+    assert.deepEqual(tracks, [
+      { index: 1, title: 'Track 1', start: 0, end: 90 },
+      { index: 2, title: 'Second', start: 90, end: 200 }
+    ]);
+  });
+
+  it('rejects tracks starting at the same time', () => {
+    assert.throws(() => resolveSplitTracks([{ start: 10, end: null }, { start: 10, end: null }], 200), INVALID_CLIP);
+  });
+
+  it('rejects tracks beyond the end of the media', () => {
+    assert.throws(() => resolveSplitTracks([{ start: 0, end: 300 }], 200), INVALID_CLIP);
+  });
+});
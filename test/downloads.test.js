@@ -0,0 +1,81 @@
+import { describe, it, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The services log every step: keep the test output readable
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkiz-downloads-'));
+process.env.CACHE_DIR = path.join(workDir, 'cache');
+
+const { getDownloadPrefix, findCompleteDownload, deletePartialDownloads } = await import('../src/services/mediaService.js');
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+/**
+ * Empty temp/ directory holding the given files
+ * @returns {string} - Directory
+ */
+function tempDirWith(files) {
+  const dir = fs.mkdtempSync(path.join(workDir, 'temp-'));
+  for (const file of files) fs.writeFileSync(path.join(dir, file), '');
+  return dir;
+}
+
+// Variants whose plain `${videoId}_${variant}_` prefixes started one another
+const OVERLAPPING_VARIANTS = [
+  ['video_4k', 'video_4k_webm'],
+  ['video_best', 'video_best_mkv'],
+  ['audio_best', 'audio_best_section0-45']
+];
+
+describe('getDownloadPrefix', () => {
+  it('never starts the prefix of another variant', () => {
+    for (const [variant, longer] of OVERLAPPING_VARIANTS) {
+      const prefix = getDownloadPrefix('dQw4w9WgXcQ', variant);
+      const other = getDownloadPrefix('dQw4w9WgXcQ', longer);
+      assert.ok(!other.startsWith(prefix) && !prefix.startsWith(other), `${variant} / ${longer}`);
+    }
+  });
+
+  it('is stable per media and variant', () => {
+    assert.equal(getDownloadPrefix('abc', 'audio_best'), getDownloadPrefix('abc', 'audio_best'));
+    assert.notEqual(getDownloadPrefix('abc', 'audio_best'), getDownloadPrefix('abd', 'audio_best'));
+  });
+});
+
+describe('temp files of overlapping variants', () => {
+  const mp4 = getDownloadPrefix('dQw4w9WgXcQ', 'video_4k');
+  const webm = getDownloadPrefix('dQw4w9WgXcQ', 'video_4k_webm');
+
+  it('finds only the finished file of its own variant', () => {
+    const dir = tempDirWith([`${webm}Title.webm`, `${mp4}Title.mp4.part`]);
+    assert.equal(findCompleteDownload(dir, mp4), undefined);
+    assert.equal(findCompleteDownload(dir, webm), `${webm}Title.webm`);
+  });
+
+  it('leaves the other variant in progress when cleaning up', () => {
+    const dir = tempDirWith([`${mp4}Title.mp4.part`, `${mp4}Title.f137.mp4`, `${webm}Title.webm.part`]);
+    deletePartialDownloads(dir, mp4);
+    assert.deepEqual(fs.readdirSync(dir), [`${webm}Title.webm.part`]);
+  });
+});
+
+describe('temp files of a full download and its sections', () => {
+  const full = getDownloadPrefix('dQw4w9WgXcQ', 'audio_best');
+  const section = getDownloadPrefix('dQw4w9WgXcQ', 'audio_best_section0-45');
+
+  it('never takes a finished section for the full download', () => {
+    const dir = tempDirWith([`${section}Title.webm`]);
+    assert.equal(findCompleteDownload(dir, full), undefined);
+  });
+
+  it('leaves a running section download alone when the full one is cancelled', () => {
+    const dir = tempDirWith([`${full}Title.webm.part`, `${section}Title.webm.part`]);
+    deletePartialDownloads(dir, full);
+    assert.deepEqual(fs.readdirSync(dir), [`${section}Title.webm.part`]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOUDNESS_PRESETS, parseLoudnormOutput, getLoudnormFilter } from '../src/services/ffmpegService.js';
+
+// End of the stderr of `ffmpeg -af loudnorm=...:print_format=json -f null -`
+const LOUDNORM_STDERR = `size=N/A time=00:03:32.00 bitrate=N/A speed= 143x
+video:0kB audio:39750kB subtitle:0kB other streams:0kB global headers:0kB muxing overhead: unknown
+[Parsed_loudnorm_0 @ 0x55d5c1c0a380]
+{
+	"input_i" : "-9.31",
+	"input_tp" : "0.52",
+	"input_lra" : "5.30",
+	"input_thresh" : "-19.43",
+	"output_i" : "-14.21",
+	"output_tp" : "-1.00",
+	"output_lra" : "4.80",
+	"output_thresh" : "-24.29",
+	"normalization_type" : "dynamic",
+	"target_offset" : "0.21"
+}
+`;
+
+const SILENT_STDERR = `[Parsed_loudnorm_0 @ 0x5581b0e0a380]
+{
+	"input_i" : "-inf",
+	"input_tp" : "-inf",
+	"input_lra" : "0.00",
+	"input_thresh" : "-70.00",
+	"output_i" : "-inf",
+	"output_tp" : "-inf",
+	"output_lra" : "0.00",
+	"output_thresh" : "-70.00",
+	"normalization_type" : "dynamic",
+	"target_offset" : "inf"
+}
+`;
+
+describe('parseLoudnormOutput', () => {
+  it('reads the input measurements of the last JSON block', () => {
+    assert.deepEqual(parseLoudnormOutput(LOUDNORM_STDERR), {
+      i: -9.31,
+      tp: 0.52,
+      lra: 5.3,
+      thresh: -19.43,
+      offset: 0.21
+    });
+  });
+
+  it('gives NaN for the loudness of silent media', () => {
+    const measured = parseLoudnormOutput(SILENT_STDERR);
+    assert.ok(Number.isNaN(measured.i));
+    assert.equal(measured.lra, 0);
+  });
+
+  it('throws without measurements', () => {
+    assert.throws(() => parseLoudnormOutput('Conversion failed!'));
+  });
+});
+
+describe('getLoudnormFilter', () => {
+  it('applies the preset target with the measured values (linear mode)', () => {
+    const filter = getLoudnormFilter({
+      target: LOUDNESS_PRESETS.streaming,
+      measured: parseLoudnormOutput(LOUDNORM_STDERR)
+    });
+
+    assert.equal(
+      filter,
+      'loudnorm=I=-14:TP=-1:LRA=11:measured_I=-9.31:measured_TP=0.52:measured_LRA=5.3:measured_thresh=-19.43:offset=0.21:linear=true'
+    );
+  });
+
+  it('leaves silent media untouched', () => {
+    assert.equal(getLoudnormFilter({ target: LOUDNESS_PRESETS.podcast, measured: parseLoudnormOutput(SILENT_STDERR) }), null);
+  });
+});
+
+describe('LOUDNESS_PRESETS', () => {
+  it('targets the usual integrated loudness of each use', () => {
+    assert.equal(LOUDNESS_PRESETS.streaming.i, -14);
+    assert.equal(LOUDNESS_PRESETS.podcast.i, -16);
+    assert.equal(LOUDNESS_PRESETS.broadcast.i, -23);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSubtitleLanguage,
+  parseVtt,
+  shiftCues,
+  toSrt,
+  toVtt,
+  toTranscript
+} from '../src/utils/subtitles.js';
+
+// Auto-generated YouTube captions: styling, karaoke timings and repeated lines
+const AUTO_VTT = `WEBVTT
+Kind: captions
+Language: en
+
+STYLE
+::cue { color: white; }
+
+NOTE generated
+
+00:00:01.000 --> 00:00:03.500 align:start position:0%
+Hello<00:00:01.500><c> there</c>
+
+00:00:03.500 --> 00:00:06.000 align:start position:0%
+Hello there
+general&nbsp;Kenobi &amp; co
+
+00:01:02.345 --> 00:01:04.000
+<i>Bye</i>
+`;
+
+describe('parseSubtitleLanguage', () => {
+  it('accepts language codes', () => {
+    assert.equal(parseSubtitleLanguage('en'), 'en');
+    assert.equal(parseSubtitleLanguage('pt-BR'), 'pt-BR');
+    assert.equal(parseSubtitleLanguage('zh-Hans'), 'zh-Hans');
+  });
+
+  it('returns null without a language', () => {
+    assert.equal(parseSubtitleLanguage(undefined), null);
+    assert.equal(parseSubtitleLanguage(''), null);
+  });
+
+  it('rejects anything else', () => {
+    for (const lang of ['e', 'english-', '../en', 'en us', 42]) {
+      assert.throws(() => parseSubtitleLanguage(lang), { code: 'INVALID_SUBTITLES', status: 400 });
+    }
+  });
+});
+
+describe('parseVtt', () => {
+  it('reads cues without headers, styling or entities', () => {
+    assert.deepEqual(parseVtt(AUTO_VTT), [
+      { start: 1, end: 3.5, text: 'Hello there' },
+      { start: 3.5, end: 6, text: 'Hello there\ngeneral Kenobi & co' },
+      { start: 62.345, end: 64, text: 'Bye' }
+    ]);
+  });
+
+  it('reads CRLF files and short timestamps', () => {
+    assert.deepEqual(parseVtt('WEBVTT\r\n\r\n01:02.500 --> 01:04.000\r\nHi\r\n'), [
+      { start: 62.5, end: 64, text: 'Hi' }
+    ]);
+  });
+
+  it('skips cues without text', () => {
+    assert.deepEqual(parseVtt('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<c> </c>\n'), []);
+  });
+});
+
+describe('shiftCues', () => {
+  const cues = [
+    { start: 5, end: 8, text: 'before' },
+    { start: 9, end: 12, text: 'across the start' },
+    { start: 20, end: 25, text: 'inside' },
+    { start: 28, end: 35, text: 'across the end' },
+    { start: 40, end: 42, text: 'after' }
+  ];
+
+  it('moves cues to the clip and cuts them to its length', () => {
+    assert.deepEqual(shiftCues(cues, 10, 20), [
+      { start: 0, end: 2, text: 'across the start' },
+      { start: 10, end: 15, text: 'inside' },
+      { start: 18, end: 20, text: 'across the end' }
+    ]);
+  });
+
+  it('keeps everything after the offset without a duration', () => {
+    assert.equal(shiftCues(cues, 10).length, 4);
+  });
+});
+
+describe('output formats', () => {
+  const cues = [
+    { start: 1, end: 3.5, text: 'Hello there' },
+    { start: 3723.25, end: 3725, text: 'Line one\nLine two' }
+  ];
+
+  it('writes SubRip', () => {
+    assert.equal(toSrt(cues), [
+      '1\n00:00:01,000 --> 00:00:03,500\nHello there\n',
+      '2\n01:02:03,250 --> 01:02:05,000\nLine one\nLine two\n'
+    ].join('\n'));
+  });
+
+  it('writes WebVTT', () => {
+    assert.equal(toVtt(cues), [
+      'WEBVTT\n\n00:00:01.000 --> 00:00:03.500\nHello there\n',
+      '01:02:03.250 --> 01:02:05.000\nLine one\nLine two\n'
+    ].join('\n'));
+  });
+
+  it('writes a transcript without the lines auto captions repeat', () => {
+    assert.equal(toTranscript(parseVtt(AUTO_VTT)), 'Hello there\ngeneral Kenobi & co\nBye\n');
+  });
+
+  it('round-trips through WebVTT', () => {
+    assert.deepEqual(parseVtt(toVtt(cues)), cues);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTags } from '../src/utils/tags.js';
+import { buildTags } from '../src/services/tagService.js';
+
+const INVALID_TAGS = { code: 'INVALID_TAGS', status: 400 };
+
+describe('parseTags', () => {
+  it('returns null without tags', () => {
+    assert.equal(parseTags(undefined), null);
+    assert.equal(parseTags(null), null);
+    assert.equal(parseTags({}), null);
+  });
+
+  it('keeps the given tags, trimmed', () => {
+    assert.deepEqual(parseTags({ title: ' Song ', artist: 'Artist', album: 'Album', year: '2024' }), {
+      title: 'Song',
+      artist: 'Artist',
+      album: 'Album',
+      year: '2024'
+    });
+  });
+
+  it('accepts a numeric year', () => {
+    assert.deepEqual(parseTags({ year: 1999 }), { year: '1999' });
+  });
+
+  it('rejects anything but an object', () => {
+    assert.throws(() => parseTags('Song'), INVALID_TAGS);
+    assert.throws(() => parseTags(['Song']), INVALID_TAGS);
+  });
+
+  it('rejects unknown tags', () => {
+    assert.throws(() => parseTags({ genre: 'Rock' }), { ...INVALID_TAGS, message: /Unknown tag "genre"/ });
+  });
+
+  it('rejects empty, non-string and overlong values', () => {
+    assert.throws(() => parseTags({ title: '' }), INVALID_TAGS);
+    assert.throws(() => parseTags({ title: '   ' }), INVALID_TAGS);
+    assert.throws(() => parseTags({ artist: { name: 'x' } }), INVALID_TAGS);
+    assert.throws(() => parseTags({ album: 'a'.repeat(201) }), INVALID_TAGS);
+  });
+
+  it('rejects years that are not 4 digits', () => {
+    assert.throws(() => parseTags({ year: '99' }), INVALID_TAGS);
+    assert.throws(() => parseTags({ year: '2024-01-01' }), INVALID_TAGS);
+  });
+});
+
+describe('buildTags', () => {
+  const videoInfo = {
+    title: 'Video title',
+    author: 'Channel',
+    metadata: { title: 'Track', artist: 'Artist', album: null, year: '2020', track: '3', isrc: null }
+  };
+
+  it('uses the source metadata and the URL as comment, leaving missing tags out', () => {
+    assert.deepEqual(buildTags(videoInfo, 'https://example.com/v'), {
+      title: 'Track',
+      artist: 'Artist',
+      year: '2020',
+      track: '3',
+      comment: 'https://example.com/v'
+    });
+  });
+
+  it('falls back to the video title and author', () => {
+    assert.deepEqual(buildTags({ title: 'Video title', author: 'Channel' }, 'https://example.com/v'), {
+      title: 'Video title',
+      artist: 'Channel',
+      comment: 'https://example.com/v'
+    });
+  });
+
+  it('lets the user tags override the source', () => {
+    const tags = buildTags(videoInfo, 'https://example.com/v', parseTags({ album: 'Album', year: 1999 }));
+    assert.equal(tags.album, 'Album');
+    assert.equal(tags.year, '1999');
+    assert.equal(tags.title, 'Track');
+  });
+});
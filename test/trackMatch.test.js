@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMatchId, rankCandidates, createInvalidMatchError } from '../src/utils/trackMatch.js';
+
+const INVALID_MATCH = { code: 'INVALID_MATCH', status: 400 };
+
+const track = { title: 'Mr. Brightside', artist: 'The Killers', duration: 222 };
+
+/**
+ * YouTube search result as returned by mediaService.searchYouTube
+ */
+function candidate(id, title, channel, duration) {
+  return { id, url: `https://www.youtube.com/watch?v=${id}`, title, channel, duration };
+}
+
+describe('parseMatchId', () => {
+  it('accepts YouTube video IDs', () => {
+    assert.equal(parseMatchId('dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.equal(parseMatchId('a-b_c123456'), 'a-b_c123456');
+  });
+
+  it('returns null without a match', () => {
+    assert.equal(parseMatchId(undefined), null);
+    assert.equal(parseMatchId(null), null);
+    assert.equal(parseMatchId(''), null);
+  });
+
+  it('rejects anything else', () => {
+    for (const match of ['short', 'dQw4w9WgXcQQ', 'https://youtu.be/dQw4w9WgXcQ', 'dQw4w9WgX/Q', 12345678901]) {
+      assert.throws(() => parseMatchId(match), INVALID_MATCH);
+    }
+  });
+});
+
+describe('createInvalidMatchError', () => {
+  it('carries the INVALID_MATCH code and a 400 status', () => {
+    const error = createInvalidMatchError('bad match');
+    assert.equal(error.message, 'bad match');
+    assert.equal(error.code, 'INVALID_MATCH');
+    assert.equal(error.status, 400);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('puts the studio audio ahead of live, cover and loop versions', () => {
+    const ranked = rankCandidates(track, [
+      candidate('live0000000', 'The Killers - Mr. Brightside (Live at Wembley)', 'The Killers', 260),
+      candidate('cover000000', 'Mr. Brightside - acoustic cover', 'Some Singer', 215),
+      candidate('loop0000000', 'Mr. Brightside 10 hours', 'Loops', 36000),
+      candidate('topic000000', 'Mr. Brightside', 'The Killers - Topic', 223),
+      candidate('video000000', 'The Killers - Mr. Brightside (Official Music Video)', 'TheKillersVEVO', 247)
+    ]);
+
+    const ids = ranked.map((result) => result.id);
+    assert.deepEqual(ids.slice(0, 2), ['topic000000', 'video000000']);
+    assert.equal(ids.at(-1), 'loop0000000');
+    assert.ok(ranked.slice(2).every((result) => result.confidence < 0.5), 'unwanted versions are low confidence');
+  });
+
+  it('scores from 0 to 1, near 1 for an exact official match', () => {
+    const [best, worst] = rankCandidates(track, [
+      candidate('topic000000', 'Mr. Brightside', 'The Killers - Topic', 222),
+      candidate('other000000', 'Something else entirely', 'Nobody', 600)
+    ]);
+
+    assert.equal(best.confidence, 1);
+    assert.ok(worst.confidence >= 0 && worst.confidence < 0.2, `got ${worst.confidence}`);
+  });
+
+  it('does not penalize versions the Spotify title asks for', () => {
+    const liveTrack = { title: 'Mr. Brightside - Live', artist: 'The Killers', duration: 260 };
+    const [live] = rankCandidates(liveTrack, [
+      candidate('live0000000', 'The Killers - Mr. Brightside (Live)', 'The Killers', 260)
+    ]);
+    const [penalized] = rankCandidates({ ...liveTrack, title: 'Mr. Brightside' }, [
+      candidate('live0000000', 'The Killers - Mr. Brightside (Live)', 'The Killers', 260)
+    ]);
+
+    assert.ok(live.confidence > penalized.confidence);
+  });
+
+  it('ignores accents, case and punctuation', () => {
+    const [result] = rankCandidates(
+      { title: 'Crazy In Love (feat. JAY-Z)', artist: 'Beyoncé', duration: 236 },
+      [candidate('crazy000000', 'BEYONCE - crazy in love', 'beyonce', 236)]
+    );
+
+    assert.ok(result.confidence >= 0.9, `got ${result.confidence}`);
+  });
+
+  it('keeps the candidate fields and gives a neutral duration score when unknown', () => {
+    const [result] = rankCandidates({ ...track, duration: 0 }, [candidate('topic000000', 'Mr. Brightside', 'The Killers - Topic', null)]);
+
+    assert.equal(result.url, 'https://www.youtube.com/watch?v=topic000000');
+    assert.equal(result.confidence, 0.8);
+  });
+});
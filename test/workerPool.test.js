@@ -0,0 +1,97 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The services log every step: keep the test output readable
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// One transcode slot, a short queue: set before the pools are created
+process.env.TRANSCODE_CONCURRENCY = '1';
+process.env.MAX_QUEUE_SIZE = '3';
+
+const { runInPool, getPlanPriority, isPoolFull, getPoolStats } = await import('../src/services/workerPool.js');
+
+/**
+ * Occupy the transcode slot until the returned function is called
+ * @returns {Function}
+ */
+function blockPool() {
+  let release;
+  runInPool('transcode', () => new Promise((resolve) => { release = resolve; }));
+  return () => release();
+}
+
+describe('getPlanPriority', () => {
+  it('serves paying plans first and guests last', () => {
+    assert.equal(getPlanPriority('creator'), 3);
+    assert.equal(getPlanPriority('starter'), 2);
+    assert.equal(getPlanPriority('free'), 1);
+    assert.equal(getPlanPriority(null), 0);
+  });
+
+  it('treats unknown plans as free', () => {
+    assert.equal(getPlanPriority('enterprise'), 1);
+  });
+});
+
+describe('runInPool', () => {
+  it('starts waiting tasks by priority, first come first served within a priority', async () => {
+    const release = blockPool();
+    const order = [];
+    const queued = [
+      ['guest', 0],
+      ['creator-1', 3],
+      ['free', 1]
+    ].map(([name, priority]) => runInPool('transcode', async () => order.push(name), { priority }));
+
+    // Queue is full now (MAX_QUEUE_SIZE = 3)
+    assert.equal(isPoolFull('transcode'), true);
+    await assert.rejects(runInPool('transcode', async () => {}), { code: 'SERVER_BUSY', status: 503 });
+
+    release();
+    await Promise.all(queued);
+    assert.deepEqual(order, ['creator-1', 'free', 'guest']);
+  });
+
+  it('keeps the arrival order of tasks with the same priority', async () => {
+    const release = blockPool();
+    const order = [];
+    const queued = ['first', 'second', 'third'].map((name) => runInPool('transcode', async () => order.push(name), { priority: 2 }));
+
+    release();
+    await Promise.all(queued);
+    assert.deepEqual(order, ['first', 'second', 'third']);
+  });
+
+  it('reports queue positions, then 0 when the task starts', async () => {
+    const release = blockPool();
+    const positions = { low: [], high: [] };
+    const low = runInPool('transcode', async () => {}, { priority: 0, onQueuePosition: (position) => positions.low.push(position) });
+    const high = runInPool('transcode', async () => {}, { priority: 3, onQueuePosition: (position) => positions.high.push(position) });
+
+    release();
+    await Promise.all([low, high]);
+    // The high priority task jumped ahead of the low one
+    assert.deepEqual(positions.low, [1, 2, 1, 0]);
+    assert.deepEqual(positions.high, [1, 0]);
+  });
+
+  it('removes a waiting task from the queue when its signal aborts', async () => {
+    const release = blockPool();
+    const controller = new AbortController();
+    let ran = false;
+    const cancelled = runInPool('transcode', async () => { ran = true; }, { signal: controller.signal });
+
+    controller.abort();
+    await assert.rejects(cancelled, { code: 'JOB_CANCELLED' });
+    assert.equal(getPoolStats().transcode.waiting, 0);
+
+    release();
+    await runInPool('transcode', async () => {});
+    assert.equal(ran, false);
+  });
+
+  it('rejects unknown pools', () => {
+    assert.throws(() => runInPool('gpu', async () => {}), /Unknown worker pool/);
+  });
+});